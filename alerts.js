@@ -0,0 +1,212 @@
+/**
+ * Severe Weather Alert Module
+ *
+ * Ingests weather alerts from the provider payload or a local alert feed file,
+ * stores them in the weather_alerts table and pushes `weatherAlert` messages to
+ * every connection of users who favorite the affected location.
+ *
+ * Alerts are identified by a hash of their location and content, so an alert
+ * seen again on a later refresh is not stored or pushed a second time.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { logger } = require('./requestContext');
+const CONFIG = require('./config');
+const { broadcastToUserConnections } = require('./websocket');
+const { storeWeatherAlert, getUsersForLocation } = require('./database');
+
+// Convert an ISO-8601 timestamp to a MySQL DATETIME string in UTC
+const toMySqlDateTime = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+};
+
+// Stable identifier so the same alert always maps to the same row
+const createAlertId = (locationId, alert) => crypto
+  .createHash('sha1')
+  .update([locationId, alert.event, alert.headline, alert.effective].join('|'))
+  .digest('hex');
+
+/**
+ * Normalizes a provider or feed alert into the stored alert shape
+ *
+ * @param {string|number} locationId - Location the alert applies to
+ * @param {Object} alert - Alert from the provider (`alerts.alert[]`) or the feed file
+ * @param {string} source - Where the alert came from ('provider' or 'feed')
+ * @returns {Object} Normalized alert
+ */
+const normalizeAlert = (locationId, alert, source) => ({
+  alertId: createAlertId(locationId, alert),
+  locationId,
+  locationName: alert.locationName,
+  headline: alert.headline || alert.event,
+  event: alert.event,
+  severity: alert.severity || 'Unknown',
+  urgency: alert.urgency,
+  areas: alert.areas,
+  description: alert.desc || alert.description,
+  instruction: alert.instruction,
+  effective: toMySqlDateTime(alert.effective),
+  expires: toMySqlDateTime(alert.expires),
+  source
+});
+
+/**
+ * Sends a weatherAlert message to every connection of users who favorite the location
+ *
+ * @param {Object} alert - Normalized alert
+ * @returns {number} Number of users the alert was broadcast to
+ */
+const pushAlert = async (alert) => {
+  const userIds = await getUsersForLocation(alert.locationId);
+  const payload = {
+    type: "weatherAlert",
+    alert: {
+      id: alert.alertId,
+      locationId: alert.locationId,
+      locationName: alert.locationName,
+      headline: alert.headline,
+      event: alert.event,
+      severity: alert.severity,
+      urgency: alert.urgency,
+      areas: alert.areas,
+      description: alert.description,
+      instruction: alert.instruction,
+      effective: alert.effective,
+      expires: alert.expires
+    },
+    timestamp: new Date().toISOString()
+  };
+
+  let notified = 0;
+  for (const userId of userIds) {
+    try {
+      await broadcastToUserConnections(userId, payload);
+      notified++;
+    } catch (error) {
+      logger.error('Failed to broadcast weather alert to user', {
+        alertId: alert.alertId,
+        userId,
+        error: error.message
+      });
+    }
+  }
+
+  return notified;
+};
+
+/**
+ * Stores alerts for a location and pushes those that have not been seen before
+ *
+ * @param {string|number} locationId - Location the alerts apply to
+ * @param {Array} alerts - Provider or feed alerts
+ * @param {Object} [options]
+ * @param {string} [options.source] - 'provider' or 'feed'
+ * @param {string} [options.locationName] - Location name to include in pushes
+ * @returns {Object} Summary with received, stored (new) and pushed counts
+ */
+const ingestAlerts = async (locationId, alerts = [], { source = 'provider', locationName } = {}) => {
+  const summary = { received: alerts.length, stored: 0, pushed: 0 };
+  const now = Date.now();
+
+  for (const rawAlert of alerts) {
+    const alert = normalizeAlert(locationId, { locationName, ...rawAlert }, source);
+
+    // Never announce an alert that has already expired
+    if (alert.expires && new Date(`${alert.expires}Z`).getTime() < now) {
+      continue;
+    }
+
+    try {
+      const isNew = await storeWeatherAlert(alert);
+      if (!isNew) {
+        continue;
+      }
+
+      summary.stored++;
+      await pushAlert(alert);
+      summary.pushed++;
+
+      logger.info('Weather alert pushed', {
+        alertId: alert.alertId,
+        locationId,
+        severity: alert.severity,
+        event: alert.event
+      });
+    } catch (error) {
+      logger.error('Failed to ingest weather alert', {
+        locationId,
+        headline: alert.headline,
+        error: error.message
+      });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Ingests alerts from the local alert feed file configured by ALERT_FEED_FILE.
+ * The file holds a JSON array of alerts, each with a `locationId`.
+ *
+ * @returns {Object} Summary with received, stored and pushed counts
+ */
+const ingestAlertFeed = async () => {
+  const summary = { received: 0, stored: 0, pushed: 0 };
+
+  if (!CONFIG.ALERT_FEED_FILE) {
+    return summary;
+  }
+
+  let feed;
+  try {
+    feed = JSON.parse(await fs.readFile(CONFIG.ALERT_FEED_FILE, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to read alert feed file', {
+      file: CONFIG.ALERT_FEED_FILE,
+      error: error.message
+    });
+    return summary;
+  }
+
+  if (!Array.isArray(feed)) {
+    logger.error('Alert feed file must contain an array of alerts', {
+      file: CONFIG.ALERT_FEED_FILE
+    });
+    return summary;
+  }
+
+  // Group alerts by location so each location is ingested once
+  const byLocation = new Map();
+  for (const alert of feed) {
+    if (!alert.locationId) {
+      logger.warn('Skipping feed alert without locationId', { headline: alert.headline });
+      continue;
+    }
+    const key = String(alert.locationId);
+    byLocation.set(key, [...(byLocation.get(key) || []), alert]);
+  }
+
+  for (const alerts of byLocation.values()) {
+    const result = await ingestAlerts(alerts[0].locationId, alerts, { source: 'feed' });
+    summary.received += result.received;
+    summary.stored += result.stored;
+    summary.pushed += result.pushed;
+  }
+
+  logger.info('Alert feed ingested', { file: CONFIG.ALERT_FEED_FILE, ...summary });
+  return summary;
+};
+
+module.exports = {
+  normalizeAlert,
+  ingestAlerts,
+  ingestAlertFeed
+};
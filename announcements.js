@@ -0,0 +1,101 @@
+/**
+ * Announcement Module
+ *
+ * Sends operator announcements (outages, maintenance) to every live connection.
+ * Announcements are sent from the admin-only `announce` action or from the
+ * standalone announcement handler.
+ *
+ * Message sent to clients:
+ * { type: "announcement", id, message, severity, expiresAt, timestamp }
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./requestContext');
+const { getLiveConnectionsPage, sendToConnections } = require('./websocket');
+const { WebSocketError } = require('./errors');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Announcements without an explicit expiry are shown for an hour
+const DEFAULT_ANNOUNCEMENT_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Builds an announcement message, validating severity and expiry
+ *
+ * @param {Object} announcement
+ * @param {string} announcement.message - Text shown to users
+ * @param {string} [announcement.severity] - info (default), warning or critical
+ * @param {string} [announcement.expiresAt] - ISO-8601 time after which clients should hide it
+ * @returns {Object} announcement message payload
+ * @throws {WebSocketError} INVALID_FIELD for an unknown severity or an invalid/past expiry
+ */
+const createAnnouncement = ({ message, severity = 'info', expiresAt }) => {
+  if (typeof message !== 'string' || message.length === 0) {
+    throw new WebSocketError('MISSING_FIELD', 'Field "message" is required', { field: 'message' });
+  }
+
+  if (!SEVERITIES.includes(severity)) {
+    throw new WebSocketError(
+      'INVALID_FIELD',
+      `Field "severity" must be one of: ${SEVERITIES.join(', ')}`,
+      { field: 'severity' }
+    );
+  }
+
+  const expiry = expiresAt ? new Date(expiresAt) : new Date(Date.now() + DEFAULT_ANNOUNCEMENT_TTL_MS);
+  if (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+    throw new WebSocketError('INVALID_FIELD', 'Field "expiresAt" must be a future ISO-8601 time', {
+      field: 'expiresAt'
+    });
+  }
+
+  return {
+    type: "announcement",
+    id: crypto.randomUUID(),
+    message,
+    severity,
+    expiresAt: expiry.toISOString(),
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Sends an announcement to every live connection, one page of the
+ * connections table at a time
+ *
+ * @param {Object} announcement - Payload from createAnnouncement
+ * @returns {Object} Summary: { connections, sent, gone, failed }
+ */
+const broadcastAnnouncement = async (announcement) => {
+  const summary = { connections: 0, sent: 0, gone: 0, failed: 0 };
+  let nextKey;
+
+  do {
+    const page = await getLiveConnectionsPage(nextKey);
+    nextKey = page.nextKey;
+
+    const pageSummary = await sendToConnections(
+      page.connections.map(connection => connection.connectionId),
+      announcement
+    );
+
+    summary.connections += pageSummary.connections;
+    summary.sent += pageSummary.sent;
+    summary.gone += pageSummary.gone;
+    summary.failed += pageSummary.failed;
+  } while (nextKey);
+
+  logger.info('Announcement broadcast completed', {
+    announcementId: announcement.id,
+    severity: announcement.severity,
+    ...summary
+  });
+
+  return summary;
+};
+
+module.exports = {
+  SEVERITIES,
+  createAnnouncement,
+  broadcastAnnouncement
+};
@@ -1,61 +1,246 @@
+/**
+ * Authentication Module
+ *
+ * Verifies the JWTs clients send on $connect and with every action. Tokens may
+ * be signed with the shared JWT_SECRET (HS256) or with an asymmetric key
+ * (RS256/ES256) published in a JWKS document loaded from a file or URL.
+ *
+ * JWKS keys are cached for JWT_JWKS_CACHE_SECONDS. A token signed with a `kid`
+ * that is not in the cache triggers one early reload, so rotated keys are picked
+ * up without waiting for the cache to expire.
+ *
+ * Verified tokens are also checked against the revocation store (revocations.js),
+ * so a token that was logged out is rejected on $connect and every action.
+ *
+ * Verification errors are thrown with fixed messages that errors.js maps to
+ * client error codes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const axios = require('axios');
 const jwt = require('jsonwebtoken');
+const { logger } = require('./requestContext');
+const CONFIG = require('./config');
+const { isTokenRevoked } = require('./revocations');
+
+const SYMMETRIC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+
+// Keys from the JWKS document, keyed by kid
+const jwksCache = {
+  keys: new Map(),
+  loadedAt: 0
+};
+
+// Reloads are not attempted more often than this, so a flood of unknown kids can't hammer the JWKS source
+const MIN_JWKS_RELOAD_MS = 30 * 1000;
+
+const getAllowedAlgorithms = () => {
+  if (CONFIG.JWT_ALGORITHMS.length > 0) {
+    return CONFIG.JWT_ALGORITHMS;
+  }
+  return CONFIG.JWT_JWKS_URL || CONFIG.JWT_JWKS_FILE ? ['RS256'] : ['HS256'];
+};
+
+const readJwksDocument = async () => {
+  if (CONFIG.JWT_JWKS_FILE) {
+    return JSON.parse(await fs.readFile(CONFIG.JWT_JWKS_FILE, 'utf8'));
+  }
+
+  const response = await axios.get(CONFIG.JWT_JWKS_URL, { timeout: 5000 });
+  return response.data;
+};
 
 /**
- * Verify a JWT token
- * @param {string} token - JWT token to verify
- * @returns {Object} Decoded token payload
- * @throws {Error} If token is invalid or verification fails
+ * Loads the JWKS document into the key cache
+ *
+ * @returns {Map} Public keys keyed by kid
  */
-const verifyToken = (token) => {
-  // Validate environment setup
-  if (!process.env.JWT_SECRET) {
-    console.error('JWT_SECRET environment variable is not set');
+const loadJwks = async () => {
+  const { keys = [] } = await readJwksDocument();
+  const parsed = new Map();
+
+  for (const jwk of keys) {
+    // Only signing keys with an ID can be matched to a token header
+    if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) {
+      continue;
+    }
+
+    try {
+      parsed.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch (error) {
+      logger.warn('Skipping unusable JWKS key', { kid: jwk.kid, error: error.message });
+    }
+  }
+
+  jwksCache.keys = parsed;
+  jwksCache.loadedAt = Date.now();
+
+  logger.info('Loaded JWKS signing keys', { kids: [...parsed.keys()] });
+  return parsed;
+};
+
+/**
+ * Returns the public key for a kid, reloading the JWKS when the cache has
+ * expired or the kid is unknown (key rotation)
+ *
+ * @param {string} kid - Key ID from the token header
+ * @returns {KeyObject} Public key
+ */
+const getSigningKey = async (kid) => {
+  const age = Date.now() - jwksCache.loadedAt;
+  const expired = age > CONFIG.JWT_JWKS_CACHE_SECONDS * 1000;
+  const unknownKid = !jwksCache.keys.has(kid);
+
+  if (expired || (unknownKid && age > MIN_JWKS_RELOAD_MS)) {
+    await loadJwks();
+  }
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) {
+    logger.warn('Token signed with unknown key', { kid });
+    throw new Error('Unknown signing key');
+  }
+  return key;
+};
+
+// Picks the verification key for a token based on its header
+const getVerificationKey = async (header) => {
+  if (SYMMETRIC_ALGORITHMS.includes(header.alg)) {
+    if (!process.env.JWT_SECRET) {
+      logger.error('JWT Configuration Error: JWT_SECRET environment variable is not set');
+      throw new Error('JWT configuration error');
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  if (!CONFIG.JWT_JWKS_URL && !CONFIG.JWT_JWKS_FILE) {
+    logger.error('JWT Configuration Error: no JWKS source configured for asymmetric tokens');
     throw new Error('JWT configuration error');
   }
+  if (!header.kid) {
+    throw new Error('Invalid token signature');
+  }
+  return getSigningKey(header.kid);
+};
+
+// Maps jsonwebtoken errors to the messages errors.js understands
+const toVerificationError = (error) => {
+  switch (error.name) {
+    case 'TokenExpiredError':
+      return new Error('Token has expired');
+    case 'NotBeforeError':
+      return new Error('Token is not yet active');
+    case 'JsonWebTokenError':
+      if (error.message.startsWith('jwt issuer invalid')) {
+        return new Error('Invalid token issuer');
+      }
+      if (error.message.startsWith('jwt audience invalid')) {
+        return new Error('Invalid token audience');
+      }
+      return new Error('Invalid token signature');
+    default:
+      return new Error('Token verification failed');
+  }
+};
+
+// Errors that already carry a client-facing message are passed through unchanged
+const PASSTHROUGH_MESSAGES = [
+  'JWT configuration error',
+  'Invalid token signature',
+  'Invalid token payload',
+  'Unknown signing key',
+  'Token has been revoked'
+];
+
+/**
+ * Verifies a JWT and returns its claims
+ *
+ * @param {string} token - JWT to verify
+ * @returns {Object} Token claims with `userId` as a string
+ * @throws {Error} If the token is missing, invalid, expired, revoked or fails issuer/audience checks
+ */
+const verifyToken = async (token) => {
+  if (!token) {
+    logger.error('Token Verification Failed: No token provided');
+    throw new Error('No token provided');
+  }
 
   try {
-    // Log basic token details for debugging
-    console.log('Token Verification Attempt:', {
+    logger.info('Token Verification Attempt', {
       tokenLength: token.length,
       tokenStart: token.substring(0, 20)
     });
 
-    // Verify and decode the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const complete = jwt.decode(token, { complete: true });
+    if (!complete) {
+      throw new Error('Invalid token signature');
+    }
+
+    const key = await getVerificationKey(complete.header);
+    const decoded = jwt.verify(token, key, {
+      algorithms: getAllowedAlgorithms(),
+      issuer: CONFIG.JWT_ISSUER,
+      audience: CONFIG.JWT_AUDIENCE,
+      clockTolerance: CONFIG.JWT_CLOCK_TOLERANCE_SECONDS
+    });
+
+    // Ensure critical fields exist
+    if (!decoded.userId || !decoded.username) {
+      logger.error('Invalid Token: Missing required fields', {
+        missingUserId: !decoded.userId,
+        missingUsername: !decoded.username
+      });
+      throw new Error('Invalid token payload');
+    }
 
-    // Ensure userId is a string
-    const stringUserId = String(decoded.userId);
+    if (await isTokenRevoked({ ...decoded, userId: String(decoded.userId) })) {
+      logger.warn('Token has been revoked', {
+        userId: String(decoded.userId),
+        jti: decoded.jti
+      });
+      throw new Error('Token has been revoked');
+    }
 
-    // Log successful verification details
-    console.log('Token Decoded Successfully:', {
-      userId: stringUserId,
+    logger.info('Token Verified Successfully', {
+      userId: String(decoded.userId),
       username: decoded.username,
-      expiresAt: new Date(decoded.exp * 1000).toISOString()
+      algorithm: complete.header.alg,
+      expiresAt: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : undefined
     });
 
-    // Return decoded payload with stringified userId
     return {
       ...decoded,
-      userId: stringUserId
+      userId: String(decoded.userId)
     };
   } catch (error) {
-    // Detailed logging of verification errors
-    console.error('Token Verification Failed:', {
+    logger.warn('Token Verification Failed', {
       name: error.name,
       message: error.message
     });
 
-    // Throw specific error types
-    if (error.name === 'TokenExpiredError') {
-      throw new Error('Token has expired');
+    if (PASSTHROUGH_MESSAGES.includes(error.message)) {
+      throw error;
     }
-    if (error.name === 'JsonWebTokenError') {
-      throw new Error('Invalid token signature');
-    }
-    throw new Error('Token verification failed');
+    throw toVerificationError(error);
   }
 };
 
+/**
+ * Checks whether verified claims carry the admin role, either as a `role`
+ * string or in a `roles` array
+ *
+ * @param {Object} claims - Verified token claims
+ * @returns {boolean} Whether the token grants admin actions
+ */
+const isAdmin = (claims) => {
+  const roles = [
+    ...(Array.isArray(claims?.roles) ? claims.roles : []),
+    ...(claims?.role !== undefined ? [claims.role] : [])
+  ];
+  return roles.includes(CONFIG.ADMIN_ROLE);
+};
+
 /**
  * Generate a new JWT token
  * @param {Object} payload - User information to encode
@@ -81,17 +266,23 @@ const generateToken = (payload, expiresIn = 86400) => {
       },
       process.env.JWT_SECRET,
       {
-        expiresIn
+        expiresIn,
+        // A unique ID lets logout revoke this token on its own
+        jwtid: crypto.randomUUID(),
+        ...(CONFIG.JWT_ISSUER && { issuer: CONFIG.JWT_ISSUER }),
+        ...(CONFIG.JWT_AUDIENCE && { audience: CONFIG.JWT_AUDIENCE })
       }
     );
     return token;
   } catch (error) {
-    console.error('Token Generation Error:', error);
+    logger.error('Token Generation Error:', { error: error.message });
     throw new Error('Failed to generate token');
   }
 };
 
 module.exports = {
   verifyToken,
-  generateToken
-};
\ No newline at end of file
+  isAdmin,
+  generateToken,
+  loadJwks
+};
@@ -1,14 +1,58 @@
 const CONFIG = {
   // WebSocket connection settings
   CONNECTION_TTL_HOURS: 24,
+  // Where connections are persisted: 'dynamodb' or 'memory' (local development and tests)
+  CONNECTION_STORE: process.env.CONNECTION_STORE || 'dynamodb',
+  // Maximum simultaneous sends when a message goes to many connections
+  FANOUT_CONCURRENCY: parseInt(process.env.FANOUT_CONCURRENCY || '10', 10),
+  // API Gateway rejects WebSocket frames larger than 128 KB
+  MAX_FRAME_BYTES: 128 * 1024,
+  // Largest lastSnapshot kept on a connection record; DynamoDB items are limited to 400 KB
+  MAX_SNAPSHOT_BYTES: 300 * 1024,
   // DynamoDB table name still from environment as this can vary between environments
   CONNECTIONS_TABLE: process.env.CONNECTIONS_TABLE,
+  // Global secondary index on userId (partition key) used to find a user's connections
+  CONNECTIONS_USER_INDEX: process.env.CONNECTIONS_USER_INDEX || 'userId-index',
+  // Optional DynamoDB table of revoked tokens (revocation checks are skipped without it)
+  REVOCATIONS_TABLE: process.env.REVOCATIONS_TABLE,
   // LaunchDarkly settings
   LOG_LEVEL_FLAG_KEY: process.env.LD_LOG_LEVEL_FLAG_KEY,
+  // Optional JSON flag that disables actions or puts the service in maintenance (see routeControls.js)
+  ROUTE_CONTROLS_FLAG_KEY: process.env.LD_ROUTE_CONTROLS_FLAG_KEY,
+  // Weather provider settings (base URL can point at a local stub server)
+  WEATHER_API_BASE_URL: process.env.WEATHER_API_BASE_URL || 'https://api.weatherapi.com/v1',
+  WEATHER_API_TIMEOUT_MS: parseInt(process.env.WEATHER_API_TIMEOUT_MS || '10000', 10),
+  // Forecast settings
+  FORECAST_DAYS: parseInt(process.env.FORECAST_DAYS || '7', 10),
+  FORECAST_HOURS: 48,
+  // Per-container cache of user location lists and location weather rows (0 disables it)
+  DB_CACHE_TTL_SECONDS: parseInt(process.env.DB_CACHE_TTL_SECONDS || '30', 10),
+  DB_CACHE_MAX_ENTRIES: parseInt(process.env.DB_CACHE_MAX_ENTRIES || '1000', 10),
+  // Cached weather older than this is sent flagged `stale` and refreshed from the provider
+  WEATHER_FRESHNESS_SECONDS: parseInt(process.env.WEATHER_FRESHNESS_SECONDS || '1800', 10),
+  // JWT verification (HS256 uses JWT_SECRET; asymmetric algorithms use keys from the JWKS file or URL)
+  JWT_ALGORITHMS: (process.env.JWT_ALGORITHMS || '').split(',').map(alg => alg.trim()).filter(Boolean),
+  JWT_JWKS_FILE: process.env.JWT_JWKS_FILE,
+  JWT_JWKS_URL: process.env.JWT_JWKS_URL,
+  JWT_JWKS_CACHE_SECONDS: parseInt(process.env.JWT_JWKS_CACHE_SECONDS || '600', 10),
+  JWT_ISSUER: process.env.JWT_ISSUER || undefined,
+  JWT_AUDIENCE: process.env.JWT_AUDIENCE ? process.env.JWT_AUDIENCE.split(',').map(aud => aud.trim()) : undefined,
+  JWT_CLOCK_TOLERANCE_SECONDS: parseInt(process.env.JWT_CLOCK_TOLERANCE_SECONDS || '30', 10),
+  // Longest lifetime of an accepted token; user-wide revocations are kept at least this long
+  JWT_MAX_TOKEN_LIFETIME_SECONDS: parseInt(process.env.JWT_MAX_TOKEN_LIFETIME_SECONDS || '86400', 10),
+  // Role claim value that grants admin actions such as announcements
+  ADMIN_ROLE: process.env.ADMIN_ROLE || 'admin',
+  // Seconds before a connection's token expires that the client is sent a tokenExpiring warning
+  TOKEN_EXPIRY_WARNING_SECONDS: parseInt(process.env.TOKEN_EXPIRY_WARNING_SECONDS || '300', 10),
+  // Optional JSON file of alerts to ingest alongside provider alerts
+  ALERT_FEED_FILE: process.env.ALERT_FEED_FILE,
 };
 
 // Validate required environment variables
-const requiredEnvVars = ['CONNECTIONS_TABLE', 'LD_LOG_LEVEL_FLAG_KEY'];
+const requiredEnvVars = [
+  'LD_LOG_LEVEL_FLAG_KEY',
+  ...(CONFIG.CONNECTION_STORE === 'dynamodb' ? ['CONNECTIONS_TABLE'] : [])
+];
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
     throw new Error(`Missing required environment variable: ${envVar}`);
@@ -0,0 +1,33 @@
+/**
+ * Connection Store
+ *
+ * Selects where WebSocket connections are persisted, based on CONNECTION_STORE:
+ * - `dynamodb` (default): the CONNECTIONS_TABLE (dynamoConnectionStore.js)
+ * - `memory`: a per-process Map for local development and tests (memoryConnectionStore.js)
+ *
+ * Both stores implement the same async interface:
+ * - putConnection(connection) -> false if the connectionId already exists
+ * - getConnection(connectionId) -> connection or null
+ * - deleteConnection(connectionId)
+ * - updateConnection(connectionId, { set, remove }) -> updated connection, or null if missing
+ * - addLocations / removeLocations(connectionId, locationIds, { set, remove }) -> updated connection, or null if missing
+ * - recordSnapshot(connectionId, snapshot) -> new sequence number, or null if missing
+ * - listUserConnections(userId) -> every connection of the user
+ * - listActiveConnectionsPage(startKey) -> { connections, nextKey } of connections whose TTL has not passed
+ *
+ * Updates never recreate a connection that has been removed.
+ */
+
+const CONFIG = require('./config');
+
+// Static requires so the bundler includes both; only the selected store is loaded
+const STORES = {
+    dynamodb: () => require('./dynamoConnectionStore'),
+    memory: () => require('./memoryConnectionStore')
+};
+
+if (!STORES[CONFIG.CONNECTION_STORE]) {
+    throw new Error(`Unknown CONNECTION_STORE: ${CONFIG.CONNECTION_STORE}`);
+}
+
+module.exports = STORES[CONFIG.CONNECTION_STORE]();
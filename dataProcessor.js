@@ -8,18 +8,184 @@
  * - Standardizes weather data from multiple sources
  * - Handles error cases and data validation
  * - Provides data transformation for caching
+ * - Emits consistent, explicitly labelled metric or imperial units
  */
 
-const { logger } = require('@bradbunce/launchdarkly-lambda-logger');
+const { logger } = require('./requestContext');
+const CONFIG = require('./config');
+const { getTimezoneOffsetMs } = require('./timezones');
+
+// Unit labels sent with each location, and the provider fields read for each unit system
+const UNIT_SYSTEMS = {
+  imperial: {
+    labels: {
+      temperature: "F",
+      windSpeed: "mph",
+      pressure: "inHg",
+      precipitation: "in",
+      visibility: "mi"
+    },
+    current: {
+      temperature: "temp_f",
+      feelsLike: "feelslike_f",
+      windSpeed: "wind_mph",
+      windGust: "gust_mph",
+      pressure: "pressure_in",
+      precipitation: "precip_in",
+      visibility: "vis_miles"
+    },
+    hourly: {
+      temperature: "temp_f",
+      feelsLike: "feelslike_f",
+      windSpeed: "wind_mph",
+      precipitation: "precip_in"
+    },
+    daily: {
+      high: "maxtemp_f",
+      low: "mintemp_f",
+      maxWindSpeed: "maxwind_mph",
+      totalPrecipitation: "totalprecip_in"
+    }
+  },
+  metric: {
+    labels: {
+      temperature: "C",
+      windSpeed: "kph",
+      pressure: "mb",
+      precipitation: "mm",
+      visibility: "km"
+    },
+    current: {
+      temperature: "temp_c",
+      feelsLike: "feelslike_c",
+      windSpeed: "wind_kph",
+      windGust: "gust_kph",
+      pressure: "pressure_mb",
+      precipitation: "precip_mm",
+      visibility: "vis_km"
+    },
+    hourly: {
+      temperature: "temp_c",
+      feelsLike: "feelslike_c",
+      windSpeed: "wind_kph",
+      precipitation: "precip_mm"
+    },
+    daily: {
+      high: "maxtemp_c",
+      low: "mintemp_c",
+      maxWindSpeed: "maxwind_kph",
+      totalPrecipitation: "totalprecip_mm"
+    }
+  }
+};
+
+// Cached weather has always been served in imperial units
+const DEFAULT_UNITS = "imperial";
+
+const getUnitSystem = (units) => UNIT_SYSTEMS[units] || UNIT_SYSTEMS[DEFAULT_UNITS];
+
+// Reads the unit-dependent fields of a row, e.g. { temperature: row.temp_c, ... }
+const pickUnitFields = (row, fields) => Object.fromEntries(
+  Object.entries(fields).map(([key, field]) => [key, row[field]])
+);
+
+// Converts Fahrenheit to Celsius, rounded to one decimal like the provider's values
+const toCelsius = (fahrenheit) => (
+  fahrenheit === null || fahrenheit === undefined
+    ? fahrenheit
+    : Math.round((Number(fahrenheit) - 32) * 5 / 9 * 10) / 10
+);
+
+// Cached rows alias the imperial columns; restore provider field names so they
+// can be read the same way as raw API data. weather_cache only has Fahrenheit
+// temperatures, so the Celsius ones are derived from them.
+const toProviderFields = (location) => ({
+  ...location.details,
+  temp_f: location.temperature,
+  temp_c: toCelsius(location.temperature),
+  feelslike_f: location.feels_like,
+  feelslike_c: toCelsius(location.feels_like),
+  wind_mph: location.wind_speed
+});
+
+/**
+ * Converts a cached `last_updated` value to epoch milliseconds. The provider
+ * reports it as wall-clock time in the location's timezone ("2024-01-27 10:15").
+ *
+ * @param {string|Date} lastUpdated - Cached last_updated value
+ * @param {string} [timezone] - IANA timezone of the location (UTC when missing or unknown)
+ * @returns {number|null} Epoch milliseconds, or null when the value can't be read
+ */
+const parseLastUpdated = (lastUpdated, timezone) => {
+  let wallClockMs;
+
+  if (lastUpdated instanceof Date) {
+    // DATETIME columns come back as local Dates holding the stored wall-clock time
+    wallClockMs = Date.UTC(
+      lastUpdated.getFullYear(), lastUpdated.getMonth(), lastUpdated.getDate(),
+      lastUpdated.getHours(), lastUpdated.getMinutes(), lastUpdated.getSeconds()
+    );
+  } else {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(lastUpdated || '');
+    if (!match) {
+      return null;
+    }
+    const [year, month, day, hour, minute, second = 0] = match.slice(1).map(part => part && Number(part));
+    wallClockMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  }
+
+  if (Number.isNaN(wallClockMs)) {
+    return null;
+  }
+  if (!timezone) {
+    return wallClockMs;
+  }
+
+  try {
+    return wallClockMs - getTimezoneOffsetMs(timezone, wallClockMs);
+  } catch (error) {
+    // Unknown timezone names throw a RangeError; fall back to UTC
+    return wallClockMs;
+  }
+};
+
+/**
+ * Flags a cached location whose weather is older than the freshness window. A row
+ * without a readable `last_updated` (no cached weather yet) is always stale.
+ *
+ * @param {Object} location - Cached location row
+ * @param {number} freshnessSeconds - Freshness window
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {Object} { stale: true, ageSeconds } for stale rows, { stale: true } when the
+ *                   age is unknown, otherwise empty
+ */
+const getStaleness = (location, freshnessSeconds, now) => {
+  const updatedAt = parseLastUpdated(location.last_updated, location.timezone);
+  if (updatedAt === null) {
+    return { stale: true };
+  }
+
+  const ageSeconds = Math.max(0, Math.floor((now - updatedAt) / 1000));
+  return ageSeconds > freshnessSeconds ? { stale: true, ageSeconds } : {};
+};
 
 /**
  * Processes raw weather data into a standardized format
  * 
  * @param {Array} weatherData - Array of weather data objects from various sources
- * @returns {Array} Processed and standardized weather data
+ * @param {Object} [options]
+ * @param {string} [options.units] - 'imperial' (default) or 'metric'
+ * @param {number} [options.freshnessSeconds] - Age beyond which cached rows are flagged
+ *                                              `stale` with their `ageSeconds` (default WEATHER_FRESHNESS_SECONDS)
+ * @param {number} [options.now] - Current time in epoch milliseconds
+ * @returns {Array} Processed and standardized weather data, each location labelled with its `units`
  * @throws {Error} If data processing fails
  */
-const processWeatherData = async (weatherData) => {
+const processWeatherData = async (weatherData, {
+  units = DEFAULT_UNITS,
+  freshnessSeconds = CONFIG.WEATHER_FRESHNESS_SECONDS,
+  now = Date.now()
+} = {}) => {
   logger.info("Weather data received for processing", { 
       locationCount: weatherData?.length,
       locations: weatherData?.map(loc => ({
@@ -36,6 +202,8 @@ const processWeatherData = async (weatherData) => {
       throw new Error("Invalid weather data format");
   }
 
+  const unitSystem = getUnitSystem(units);
+
   try {
       return weatherData.map((location) => {
           // Handle error cases where the location fetch failed
@@ -49,19 +217,55 @@ const processWeatherData = async (weatherData) => {
           }
 
           try {
+              // If forecast data (from the forecast cache tables)
+              if (location.forecast) {
+                  return {
+                      id: location.location_id,
+                      name: location.name,
+                      units: unitSystem.labels,
+                      forecast: {
+                          hourly: (location.forecast.hourly || []).map((hour) => ({
+                              time: hour.forecast_time,
+                              ...pickUnitFields(hour, unitSystem.hourly),
+                              condition: hour.condition_text,
+                              icon: hour.condition_icon,
+                              isDay: hour.is_day,
+                              humidity: hour.humidity,
+                              windDirection: hour.wind_dir,
+                              chanceOfRain: hour.chance_of_rain,
+                              chanceOfSnow: hour.chance_of_snow
+                          })),
+                          daily: (location.forecast.daily || []).map((day) => ({
+                              date: day.forecast_date,
+                              ...pickUnitFields(day, unitSystem.daily),
+                              condition: day.condition_text,
+                              icon: day.condition_icon,
+                              humidity: day.avghumidity,
+                              chanceOfRain: day.daily_chance_of_rain,
+                              chanceOfSnow: day.daily_chance_of_snow,
+                              uv: day.uv,
+                              sunrise: day.sunrise,
+                              sunset: day.sunset
+                          }))
+                      }
+                  };
+              }
+
               // If data is already processed (comes from our API wrapper)
               if (location.temperature !== undefined) {
+                const row = toProviderFields(location);
+
                 return {
                     id: location.location_id,  // Change locationId to location_id
                     name: location.name,       // name is correct
+                    units: unitSystem.labels,
                     weather: {
-                        temperature: location.temperature,
+                        ...pickUnitFields(row, unitSystem.current),
                         condition: location.condition,
                         humidity: location.humidity,
-                        windSpeed: location.wind_speed,
-                        feelsLike: location.feels_like,
                         lastUpdated: location.last_updated
-                    }
+                    },
+                    ...getStaleness(location, freshnessSeconds, now)
                 };
             }
               
@@ -70,13 +274,12 @@ const processWeatherData = async (weatherData) => {
                   return {
                       id: location.id || location.locationId,
                       name: location.name || location.locationName,
+                      units: unitSystem.labels,
                       weather: {
-                          temperature: location.current.temp_c,
+                          ...pickUnitFields(location.current, unitSystem.current),
                           condition: location.current.condition?.text,
                           icon: location.current.condition?.icon,
                           humidity: location.current.humidity,
-                          windSpeed: location.current.wind_kph,
-                          feelsLike: location.current.feelslike_c,
                           lastUpdated: location.current.last_updated
                       },
                       coordinates: location.latitude && location.longitude
@@ -174,12 +377,15 @@ return processedData.map((location) => ({
         feelsLike: location.weather?.feelsLike,
         lastUpdated: location.weather?.lastUpdated,
       },
+  units: location.units || null,
   error: location.error || null,
   timestamp: new Date().toISOString(),
 }));
 };
 
 module.exports = {
+UNIT_SYSTEMS,
+DEFAULT_UNITS,
 processWeatherData,
 validateWeatherData,
 formatWeatherForCache,
@@ -8,10 +8,14 @@
  * - Transaction management
  * - Error handling and logging
  * - Table validation and creation
+ * - Per-container caching of user location lists and location weather rows
  */
 
 const mysql = require('mysql2/promise');
 const { queries, tableQueries } = require('./queries');
+const { createLruCache } = require('./lruCache');
+const { formatLocalDateTime } = require('./timezones');
+const CONFIG = require('./config');
 
 // Validate required environment variables
 const requiredEnvVars = [
@@ -68,6 +72,25 @@ const pools = {
     replica: mysql.createPool(dbConfig.replica)
 };
 
+// Warm containers serve repeated reads from memory. Location lists are keyed by
+// user ID and weather rows by location ID; the writes below invalidate them.
+const cacheOptions = {
+    maxEntries: CONFIG.DB_CACHE_MAX_ENTRIES,
+    ttlMs: CONFIG.DB_CACHE_TTL_SECONDS * 1000
+};
+const caches = {
+    userLocations: createLruCache(cacheOptions),
+    locationWeather: createLruCache(cacheOptions)
+};
+
+// Drops cached rows that include a location's weather
+const invalidateLocationWeather = (locationId) => {
+    caches.locationWeather.delete(locationId);
+    caches.userLocations.deleteWhere(locations =>
+        locations.some(location => String(location.location_id) === String(locationId))
+    );
+};
+
 // Helper function for retrying operations with timeout
 const retryOperation = async (operation, maxRetries = 3, timeout = 10000) => {
     let lastError;
@@ -107,17 +130,27 @@ const validateTables = async (connection) => {
             SELECT table_name 
             FROM information_schema.tables 
             WHERE table_schema = ? 
-            AND table_name IN ('locations', 'user_favorite_locations', 'weather_cache', 'websocket_subscriptions')
+            AND table_name IN ('locations', 'user_favorite_locations', 'weather_cache', 'websocket_subscriptions', 'forecast_hourly', 'forecast_daily', 'weather_alerts', 'user_preferences')
         `, [process.env.DB_NAME]);
 
         const existingTables = rows.map(row => row.table_name.toLowerCase());
         console.log('Existing tables:', existingTables);
 
-        // We only need to create websocket_subscriptions if it doesn't exist
+        // Only tables owned by this service are created here
         // Other tables should already exist from your SQL dump
-        if (!existingTables.includes('websocket_subscriptions')) {
-            console.log('Creating websocket_subscriptions table...');
-            await connection.query(tableQueries.createWebSocketSubscriptionsTable);
+        const managedTables = {
+            websocket_subscriptions: tableQueries.createWebSocketSubscriptionsTable,
+            forecast_hourly: tableQueries.createHourlyForecastTable,
+            forecast_daily: tableQueries.createDailyForecastTable,
+            weather_alerts: tableQueries.createWeatherAlertsTable,
+            user_preferences: tableQueries.createUserPreferencesTable
+        };
+
+        for (const [tableName, createQuery] of Object.entries(managedTables)) {
+            if (!existingTables.includes(tableName)) {
+                console.log(`Creating ${tableName} table...`);
+                await connection.query(createQuery);
+            }
         }
     } catch (error) {
         console.error('Error validating tables:', error);
@@ -174,11 +207,61 @@ const getConnection = async (operation = 'read') => {
     }
 };
 
+// Transform a location/weather join row into the format expected by the data processor
+const formatLocationRow = (row) => ({
+    location_id: row.location_id,
+    name: row.name,
+    temperature: row.temperature,
+    condition: row.condition,
+    humidity: row.humidity,
+    wind_speed: row.wind_speed,
+    feels_like: row.feels_like,
+    country: row.country,
+    country_code: row.country_code,
+    region: row.region,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    timezone: row.timezone,
+    display_order: row.display_order,
+    created_at: row.created_at,
+    last_updated: row.last_updated,
+    details: {
+        is_day: row.is_day,
+        condition_code: row.condition_code,
+        condition_icon: row.condition_icon,
+        wind_kph: row.wind_kph,
+        wind_degree: row.wind_degree,
+        wind_dir: row.wind_dir,
+        pressure_mb: row.pressure_mb,
+        pressure_in: row.pressure_in,
+        precip_mm: row.precip_mm,
+        precip_in: row.precip_in,
+        cloud: row.cloud,
+        vis_km: row.vis_km,
+        vis_miles: row.vis_miles,
+        uv: row.uv,
+        gust_mph: row.gust_mph,
+        gust_kph: row.gust_kph
+    }
+});
+
 const getLocationsForUser = async (userId) => {
+    const cached = caches.userLocations.get(userId);
+    if (cached) {
+        console.log('Serving user locations from cache:', {
+            userId,
+            locationCount: cached.length,
+            cache: caches.userLocations.stats(),
+            timestamp: new Date().toISOString()
+        });
+        return cached;
+    }
+
     let connection;
     try {
         console.log('Attempting to get locations for user:', {
             userId,
+            cache: caches.userLocations.stats(),
             timestamp: new Date().toISOString()
         });
 
@@ -204,42 +287,9 @@ const getLocationsForUser = async (userId) => {
         });
 
         // Transform the rows to match expected format
-        return rows.map(row => ({
-            location_id: row.location_id,
-            name: row.name,
-            temperature: row.temperature,
-            condition: row.condition,
-            humidity: row.humidity,
-            wind_speed: row.wind_speed,
-            feels_like: row.feels_like,
-            country: row.country,
-            country_code: row.country_code,
-            region: row.region,
-            latitude: row.latitude,
-            longitude: row.longitude,
-            timezone: row.timezone,
-            display_order: row.display_order,
-            created_at: row.created_at,
-            last_updated: row.last_updated,
-            details: {
-                is_day: row.is_day,
-                condition_code: row.condition_code,
-                condition_icon: row.condition_icon,
-                wind_kph: row.wind_kph,
-                wind_degree: row.wind_degree,
-                wind_dir: row.wind_dir,
-                pressure_mb: row.pressure_mb,
-                pressure_in: row.pressure_in,
-                precip_mm: row.precip_mm,
-                precip_in: row.precip_in,
-                cloud: row.cloud,
-                vis_km: row.vis_km,
-                vis_miles: row.vis_miles,
-                uv: row.uv,
-                gust_mph: row.gust_mph,
-                gust_kph: row.gust_kph
-            }
-        }));
+        const locations = rows.map(formatLocationRow);
+        caches.userLocations.set(userId, locations);
+        return locations;
     } catch (error) {
         console.error('Error getting user locations:', {
             error: error.message,
@@ -254,6 +304,58 @@ const getLocationsForUser = async (userId) => {
     }
 };
 
+const getLocationWeather = async (locationId) => {
+    const cached = caches.locationWeather.get(locationId);
+    if (cached) {
+        console.log('Serving location weather from cache:', {
+            locationId,
+            cache: caches.locationWeather.stats(),
+            timestamp: new Date().toISOString()
+        });
+        return cached;
+    }
+
+    let connection;
+    try {
+        console.log('Attempting to get weather for location:', {
+            locationId,
+            cache: caches.locationWeather.stats(),
+            timestamp: new Date().toISOString()
+        });
+
+        connection = await getConnection('read');
+
+        const [rows] = await retryOperation(
+            () => connection.execute(queries.getLocationWeather, [locationId]),
+            3,  // max retries
+            20000 // 20 second timeout
+        );
+
+        if (rows.length === 0) {
+            console.warn('Location not found:', {
+                locationId,
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+
+        const location = formatLocationRow(rows[0]);
+        caches.locationWeather.set(locationId, location);
+        return location;
+    } catch (error) {
+        console.error('Error getting location weather:', {
+            error: error.message,
+            locationId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
 const updateWeatherCache = async (locationData) => {
     let connection;
     try {
@@ -288,6 +390,8 @@ const updateWeatherCache = async (locationData) => {
             10000 // 10 second timeout
         );
 
+        invalidateLocationWeather(location_id);
+
         console.log('Successfully updated weather cache:', {
             locationId: location_id,
             timestamp: new Date().toISOString()
@@ -306,6 +410,299 @@ const updateWeatherCache = async (locationData) => {
     }
 };
 
+const getForecastForLocation = async (locationId, timezone) => {
+    let connection;
+    try {
+        console.log('Attempting to get forecast for location:', {
+            locationId,
+            timezone,
+            timestamp: new Date().toISOString()
+        });
+
+        // Forecast rows hold the location's wall-clock time, so "now" is taken in its timezone
+        const now = Date.now();
+        const fromTime = formatLocalDateTime(now - 60 * 60 * 1000, timezone);
+        const today = formatLocalDateTime(now, timezone).slice(0, 10);
+
+        connection = await getConnection('read');
+
+        // One connection runs one query at a time, so these run in sequence
+        const [hourly] = await retryOperation(
+            () => connection.execute(queries.getHourlyForecast, [locationId, fromTime]),
+            3,  // max retries
+            20000 // 20 second timeout
+        );
+        const [daily] = await retryOperation(
+            () => connection.execute(queries.getDailyForecast, [locationId, today]),
+            3,  // max retries
+            20000 // 20 second timeout
+        );
+
+        console.log('Successfully retrieved location forecast:', {
+            locationId,
+            hourlyCount: hourly.length,
+            dailyCount: daily.length,
+            timestamp: new Date().toISOString()
+        });
+
+        return { hourly, daily };
+    } catch (error) {
+        console.error('Error getting location forecast:', {
+            error: error.message,
+            locationId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const updateForecastCache = async (locationId, { hourly = [], daily = [] }) => {
+    let connection;
+    try {
+        console.log('Attempting to update forecast cache:', {
+            locationId,
+            hourlyCount: hourly.length,
+            dailyCount: daily.length,
+            timestamp: new Date().toISOString()
+        });
+
+        connection = await getConnection('write');
+        await connection.beginTransaction();
+
+        // Replace the location's forecast so removed periods don't linger
+        await retryOperation(
+            async () => {
+                await connection.execute(queries.deleteHourlyForecast, [locationId]);
+                await connection.execute(queries.deleteDailyForecast, [locationId]);
+            },
+            2,  // fewer retries for delete
+            10000 // 10 second timeout
+        );
+
+        for (const hour of hourly) {
+            await retryOperation(
+                () => connection.execute(queries.insertHourlyForecast, [
+                    locationId,
+                    hour.forecast_time,
+                    hour.temp_f,
+                    hour.temp_c,
+                    hour.feelslike_f,
+                    hour.feelslike_c,
+                    hour.condition_text,
+                    hour.condition_code,
+                    hour.condition_icon,
+                    hour.is_day,
+                    hour.humidity,
+                    hour.wind_mph,
+                    hour.wind_kph,
+                    hour.wind_dir,
+                    hour.precip_mm,
+                    hour.precip_in,
+                    hour.chance_of_rain,
+                    hour.chance_of_snow
+                ]),
+                2,  // fewer retries per insert
+                5000 // shorter timeout per insert
+            );
+        }
+
+        for (const day of daily) {
+            await retryOperation(
+                () => connection.execute(queries.insertDailyForecast, [
+                    locationId,
+                    day.forecast_date,
+                    day.maxtemp_f,
+                    day.maxtemp_c,
+                    day.mintemp_f,
+                    day.mintemp_c,
+                    day.avgtemp_f,
+                    day.avgtemp_c,
+                    day.condition_text,
+                    day.condition_code,
+                    day.condition_icon,
+                    day.avghumidity,
+                    day.maxwind_mph,
+                    day.maxwind_kph,
+                    day.totalprecip_mm,
+                    day.totalprecip_in,
+                    day.daily_chance_of_rain,
+                    day.daily_chance_of_snow,
+                    day.uv,
+                    day.sunrise,
+                    day.sunset
+                ]),
+                2,  // fewer retries per insert
+                5000 // shorter timeout per insert
+            );
+        }
+
+        await connection.commit();
+
+        console.log('Successfully updated forecast cache:', {
+            locationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error('Error updating forecast cache:', {
+            error: error.message,
+            locationId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Returns true only when the alert was not already stored, so callers can deduplicate pushes
+const storeWeatherAlert = async (alert) => {
+    let connection;
+    try {
+        console.log('Attempting to store weather alert:', {
+            alertId: alert.alertId,
+            locationId: alert.locationId,
+            timestamp: new Date().toISOString()
+        });
+
+        connection = await getConnection('write');
+
+        const [result] = await retryOperation(
+            () => connection.execute(queries.insertWeatherAlert, [
+                alert.alertId,
+                alert.locationId,
+                alert.headline,
+                alert.event,
+                alert.severity,
+                alert.urgency,
+                alert.areas,
+                alert.description,
+                alert.instruction,
+                alert.effective,
+                alert.expires,
+                alert.source
+            ]),
+            3,  // max retries
+            10000 // 10 second timeout
+        );
+
+        const inserted = result.affectedRows > 0;
+
+        console.log('Weather alert stored:', {
+            alertId: alert.alertId,
+            locationId: alert.locationId,
+            inserted,
+            timestamp: new Date().toISOString()
+        });
+
+        return inserted;
+    } catch (error) {
+        console.error('Error storing weather alert:', {
+            error: error.message,
+            alertId: alert.alertId,
+            locationId: alert.locationId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const getUsersForLocation = async (locationId) => {
+    let connection;
+    try {
+        connection = await getConnection('read');
+
+        const [rows] = await retryOperation(
+            () => connection.execute(queries.getLocationFavoriteUsers, [locationId]),
+            3,  // max retries
+            20000 // 20 second timeout
+        );
+
+        return rows.map(row => String(row.user_id));
+    } catch (error) {
+        console.error('Error getting users for location:', {
+            error: error.message,
+            locationId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Returns the user's preferred unit system, or null when none has been saved
+const getUserUnits = async (userId) => {
+    let connection;
+    try {
+        connection = await getConnection('read');
+
+        const [rows] = await retryOperation(
+            () => connection.execute(queries.getUserPreferences, [userId]),
+            3,  // max retries
+            20000 // 20 second timeout
+        );
+
+        return rows[0]?.units || null;
+    } catch (error) {
+        console.error('Error getting user units:', {
+            error: error.message,
+            userId,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const setUserUnits = async (userId, units) => {
+    let connection;
+    try {
+        console.log('Attempting to save user units:', {
+            userId,
+            units,
+            timestamp: new Date().toISOString()
+        });
+
+        connection = await getConnection('write');
+
+        await retryOperation(
+            () => connection.execute(queries.upsertUserUnits, [userId, units]),
+            3,  // max retries
+            10000 // 10 second timeout
+        );
+    } catch (error) {
+        console.error('Error saving user units:', {
+            error: error.message,
+            userId,
+            units,
+            timestamp: new Date().toISOString()
+        });
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
 const addUserLocation = async (userId, locationData) => {
     let connection;
     try {
@@ -331,13 +728,15 @@ const addUserLocation = async (userId, locationData) => {
         );
 
         if (existing.length > 0) {
-            throw new Error('Location already exists for user');
+            const duplicateError = new Error('Location already exists for user');
+            duplicateError.code = 'LOCATION_EXISTS';
+            throw duplicateError;
         }
 
         // Add to user_favorite_locations
         await retryOperation(
             () => connection.execute(
-                queries.addUserLocation,
+                queries.addUserFavoriteLocation,
                 [userId, locationId, userId] // Third parameter is for the subquery to get max display_order
             ),
             3,  // max retries
@@ -346,6 +745,8 @@ const addUserLocation = async (userId, locationData) => {
 
         await connection.commit();
 
+        caches.userLocations.delete(userId);
+
         console.log('Successfully added user location:', {
             userId,
             locationId,
@@ -371,6 +772,7 @@ const addUserLocation = async (userId, locationData) => {
     }
 };
 
+// Returns whether the location was one of the user's favorites
 const removeUserLocation = async (userId, locationId) => {
     let connection;
     try {
@@ -382,7 +784,7 @@ const removeUserLocation = async (userId, locationId) => {
 
         connection = await getConnection('write');
         
-        await retryOperation(
+        const [result] = await retryOperation(
             () => connection.execute(
                 queries.removeUserLocation,
                 [userId, locationId]
@@ -391,11 +793,16 @@ const removeUserLocation = async (userId, locationId) => {
             10000 // 10 second timeout
         );
 
-        console.log('Successfully removed user location:', {
+        caches.userLocations.delete(userId);
+
+        const removed = result.affectedRows > 0;
+        console.log(removed ? 'Successfully removed user location:' : 'User location not found for removal:', {
             userId,
             locationId,
             timestamp: new Date().toISOString()
         });
+
+        return removed;
     } catch (error) {
         console.error('Error removing user location:', {
             error: error.message,
@@ -428,7 +835,7 @@ const updateLocationOrder = async (userId, locationOrders) => {
             await retryOperation(
                 () => connection.execute(
                     queries.updateLocationOrder,
-                    [order, locationId, userId]
+                    [order, userId, locationId]
                 ),
                 2,  // fewer retries per update
                 5000 // shorter timeout per update
@@ -437,6 +844,8 @@ const updateLocationOrder = async (userId, locationOrders) => {
 
         await connection.commit();
 
+        caches.userLocations.delete(userId);
+
         console.log('Successfully updated location order:', {
             userId,
             locationCount: locationOrders.length,
@@ -474,11 +883,18 @@ const cleanupOldData = async () => {
             async () => {
                 await connection.execute(queries.cleanupWeatherCache);
                 await connection.execute(queries.cleanupSubscriptions);
+                await connection.execute(queries.cleanupHourlyForecast);
+                await connection.execute(queries.cleanupDailyForecast);
+                await connection.execute(queries.cleanupExpiredAlerts);
             },
             3,  // max retries
             20000 // longer timeout for cleanup
         );
 
+        // Cleanup removes old weather_cache rows that cached entries may include
+        caches.userLocations.clear();
+        caches.locationWeather.clear();
+
         console.log('Successfully completed database cleanup:', {
             timestamp: new Date().toISOString()
         });
@@ -498,7 +914,14 @@ const cleanupOldData = async () => {
 module.exports = {
     getConnection,
     getLocationsForUser,
+    getLocationWeather,
     updateWeatherCache,
+    getForecastForLocation,
+    updateForecastCache,
+    storeWeatherAlert,
+    getUsersForLocation,
+    getUserUnits,
+    setUserUnits,
     addUserLocation,
     removeUserLocation,
     updateLocationOrder,
@@ -0,0 +1,237 @@
+/**
+ * Local WebSocket Dev Server
+ *
+ * Runs the Lambda handler behind a local WebSocket server so changes can be
+ * tried without deploying. Started with `npm run dev`.
+ *
+ * It stands in for both halves of API Gateway:
+ * - WebSocket API: accepts clients on ws://localhost:DEV_SERVER_PORT, builds
+ *   API Gateway-shaped events for `$connect`, `$disconnect`, named routes and
+ *   `$default`, and invokes `exports.handler`. A `$connect` response other than
+ *   2xx rejects the handshake with that status and headers, as API Gateway does.
+ * - Management API: WEBSOCKET_API_ENDPOINT points back at this server, so the
+ *   real `PostToConnectionCommand` sent by `sendMessageToClient` is received at
+ *   `POST /@connections/{id}` and delivered to the client as a text frame, or a
+ *   binary frame for MessagePack data. `GET` and `DELETE` on the same path
+ *   emulate GetConnection and DeleteConnection. Unknown connections get 410,
+ *   like a gone API Gateway connection.
+ *
+ * Connections are kept in memory (CONNECTION_STORE=memory) unless configured
+ * otherwise. LaunchDarkly and the database are used as configured in `.env`.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const http = require('http');
+const { isUtf8 } = require('buffer');
+const { WebSocketServer } = require('ws');
+
+const PORT = parseInt(process.env.DEV_SERVER_PORT || '3001', 10);
+// Routes with their own integration; any other action goes to $default (route selection on $request.body.action)
+const NAMED_ROUTES = (process.env.DEV_SERVER_ROUTES || 'getWeather,locationUpdate').split(',').map(route => route.trim()).filter(Boolean);
+
+// The handler modules read these at load time, so defaults are set before requiring them
+process.env.CONNECTION_STORE = process.env.CONNECTION_STORE || 'memory';
+process.env.WEBSOCKET_API_ENDPOINT = `http://localhost:${PORT}`;
+process.env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+// The management API client signs its requests; this server ignores the signature
+if (!process.env.AWS_ACCESS_KEY_ID && !process.env.AWS_PROFILE) {
+  process.env.AWS_ACCESS_KEY_ID = 'local';
+  process.env.AWS_SECRET_ACCESS_KEY = 'local';
+}
+
+const { handler } = require('./index');
+
+// Open sockets keyed by connectionId
+const sockets = new Map();
+// Frames posted while $connect is still running, flushed once the handshake completes
+const pendingFrames = new Map();
+const connectedAt = new Map();
+
+// API Gateway connection IDs look like base64 strings, e.g. "L0SM9cOFvHcCIhw="
+const createConnectionId = () => crypto.randomBytes(10).toString('base64');
+
+const createRequestContext = (connectionId, routeKey, eventType) => ({
+  routeKey,
+  eventType,
+  connectionId,
+  requestId: crypto.randomUUID(),
+  connectedAt: connectedAt.get(connectionId),
+  requestTimeEpoch: Date.now(),
+  domainName: 'localhost',
+  stage: 'local',
+  apiId: 'local'
+});
+
+const invoke = async (event) => {
+  try {
+    const response = await handler(event);
+    console.log(`${event.requestContext.routeKey} ${event.requestContext.connectionId} -> ${response?.statusCode}`);
+    return response;
+  } catch (error) {
+    // An uncaught Lambda error surfaces as a 502 from API Gateway
+    console.error(`${event.requestContext.routeKey} ${event.requestContext.connectionId} failed:`, error);
+    return { statusCode: 502, body: JSON.stringify({ message: 'Internal server error' }) };
+  }
+};
+
+// Picks the route for an inbound message the way the API's route selection expression does
+const selectRoute = (body) => {
+  try {
+    const { action } = JSON.parse(body) || {};
+    return NAMED_ROUTES.includes(action) ? action : '$default';
+  } catch (error) {
+    return '$default';
+  }
+};
+
+// MessagePack data is never valid UTF-8, so anything else goes out as a text frame
+const sendFrame = (client, data) => client.send(data, { binary: !isUtf8(data) });
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  request.on('data', chunk => chunks.push(chunk));
+  request.on('end', () => resolve(Buffer.concat(chunks)));
+  request.on('error', reject);
+});
+
+const sendJson = (response, statusCode, body) => {
+  response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  response.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+// Management API stand-in: /@connections/{connectionId}
+const handleManagementRequest = async (request, response) => {
+  const match = /^\/@connections\/([^/?]+)/.exec(request.url);
+  if (!match) {
+    return sendJson(response, 404, { message: 'Not Found' });
+  }
+
+  const connectionId = decodeURIComponent(match[1]);
+  const socket = sockets.get(connectionId);
+  const pending = pendingFrames.get(connectionId);
+
+  if (!socket && !pending) {
+    return sendJson(response, 410, { message: 'Gone' });
+  }
+
+  switch (request.method) {
+    case 'POST': {
+      const data = await readBody(request);
+      if (socket) {
+        sendFrame(socket, data);
+      } else {
+        pending.push(data);
+      }
+      return sendJson(response, 200);
+    }
+
+    case 'GET':
+      return sendJson(response, 200, {
+        ConnectedAt: new Date(connectedAt.get(connectionId)).toISOString(),
+        Identity: { SourceIp: '127.0.0.1' },
+        LastActiveAt: new Date().toISOString()
+      });
+
+    case 'DELETE':
+      if (socket) {
+        socket.close(1000);
+      }
+      return sendJson(response, 204);
+
+    default:
+      return sendJson(response, 405, { message: 'Method Not Allowed' });
+  }
+};
+
+const handleMessage = (connectionId, data, isBinary) => {
+  // API Gateway passes binary frames to the integration base64-encoded
+  const body = isBinary ? data.toString('base64') : data.toString('utf8');
+
+  return invoke({
+    requestContext: {
+      ...createRequestContext(connectionId, isBinary ? '$default' : selectRoute(body), 'MESSAGE'),
+      messageDirection: 'IN'
+    },
+    body,
+    isBase64Encoded: isBinary
+  });
+};
+
+const handleDisconnect = (connectionId, code) => {
+  sockets.delete(connectionId);
+
+  return invoke({
+    requestContext: {
+      ...createRequestContext(connectionId, '$disconnect', 'DISCONNECT'),
+      disconnectStatusCode: code
+    },
+    isBase64Encoded: false
+  }).finally(() => connectedAt.delete(connectionId));
+};
+
+const webSocketServer = new WebSocketServer({ noServer: true });
+
+const handleUpgrade = async (request, socket, head) => {
+  const connectionId = createConnectionId();
+  const url = new URL(request.url, `http://localhost:${PORT}`);
+  const queryStringParameters = url.searchParams.size > 0 ? Object.fromEntries(url.searchParams) : undefined;
+
+  connectedAt.set(connectionId, Date.now());
+  pendingFrames.set(connectionId, []);
+
+  const response = await invoke({
+    requestContext: createRequestContext(connectionId, '$connect', 'CONNECT'),
+    headers: request.headers,
+    queryStringParameters,
+    isBase64Encoded: false
+  });
+
+  const frames = pendingFrames.get(connectionId);
+  pendingFrames.delete(connectionId);
+
+  const statusCode = response?.statusCode || 200;
+  if (statusCode < 200 || statusCode >= 300) {
+    connectedAt.delete(connectionId);
+    const headers = Object.entries(response?.headers || {}).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    socket.end(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode] || ''}\r\n${headers}Connection: close\r\n\r\n`);
+    return;
+  }
+
+  // The client went away while $connect was running
+  if (socket.destroyed) {
+    await handleDisconnect(connectionId, 1006);
+    return;
+  }
+
+  webSocketServer.handleUpgrade(request, socket, head, (client) => {
+    sockets.set(connectionId, client);
+    frames.forEach(frame => sendFrame(client, frame));
+
+    client.on('message', (data, isBinary) => handleMessage(connectionId, data, isBinary));
+    client.on('close', (code) => handleDisconnect(connectionId, code));
+  });
+};
+
+const server = http.createServer((request, response) => {
+  handleManagementRequest(request, response).catch(error => {
+    console.error('Management request failed:', error);
+    sendJson(response, 500, { message: error.message });
+  });
+});
+
+server.on('upgrade', (request, socket, head) => {
+  handleUpgrade(request, socket, head).catch(error => {
+    console.error('WebSocket upgrade failed:', error);
+    socket.destroy();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Local WebSocket server listening on ws://localhost:${PORT}`);
+  console.log(`Connection store: ${process.env.CONNECTION_STORE}; named routes: ${NAMED_ROUTES.join(', ') || 'none'}`);
+});
+
+// Exported so tests can stop the server
+module.exports = { server };
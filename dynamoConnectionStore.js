@@ -0,0 +1,227 @@
+/**
+ * DynamoDB Connection Store
+ *
+ * Persists WebSocket connections in the CONNECTIONS_TABLE. Connections are keyed
+ * by `connectionId`; a user's connections are found through the global secondary
+ * index on `userId` (CONNECTIONS_USER_INDEX).
+ *
+ * Implements the connection store interface described in connectionStore.js.
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, PutCommand, GetCommand, DeleteCommand, UpdateCommand, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const CONFIG = require('./config');
+
+const client = new DynamoDBClient({
+    maxAttempts: 3,
+    requestTimeout: 5000
+});
+const dynamo = DynamoDBDocumentClient.from(client, {
+    marshallOptions: {
+        removeUndefinedValues: true,
+    }
+});
+
+const isConditionalCheckFailure = (error) => error.name === 'ConditionalCheckFailedException';
+
+// Runs an update that must not recreate a removed connection; returns the updated item or null
+const updateExisting = async (connectionId, params) => {
+    try {
+        const { Attributes } = await dynamo.send(new UpdateCommand({
+            TableName: CONFIG.CONNECTIONS_TABLE,
+            Key: { connectionId },
+            ConditionExpression: 'attribute_exists(connectionId)',
+            ReturnValues: 'ALL_NEW',
+            ...params
+        }));
+        return Attributes;
+    } catch (error) {
+        if (isConditionalCheckFailure(error)) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Stores a new connection
+ *
+ * @param {Object} connection - Connection record including connectionId and userId
+ * @returns {boolean} False when a connection with the same ID already exists
+ */
+const putConnection = async (connection) => {
+    try {
+        await dynamo.send(new PutCommand({
+            TableName: CONFIG.CONNECTIONS_TABLE,
+            Item: connection,
+            ConditionExpression: 'attribute_not_exists(connectionId)'
+        }));
+        return true;
+    } catch (error) {
+        if (isConditionalCheckFailure(error)) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+const getConnection = async (connectionId) => {
+    const { Item } = await dynamo.send(new GetCommand({
+        TableName: CONFIG.CONNECTIONS_TABLE,
+        Key: { connectionId }
+    }));
+    return Item || null;
+};
+
+const deleteConnection = async (connectionId) => {
+    await dynamo.send(new DeleteCommand({
+        TableName: CONFIG.CONNECTIONS_TABLE,
+        Key: { connectionId }
+    }));
+};
+
+// Builds the SET/REMOVE clauses and attribute maps for an update
+const buildUpdate = ({ set = {}, remove = [] }, names = {}, values = {}) => {
+    const setClauses = Object.keys(set).map((attribute, index) => {
+        names[`#set${index}`] = attribute;
+        values[`:set${index}`] = set[attribute];
+        return `#set${index} = :set${index}`;
+    });
+    const removeClauses = remove.map((attribute, index) => {
+        names[`#remove${index}`] = attribute;
+        return `#remove${index}`;
+    });
+
+    return {
+        clauses: [
+            setClauses.length > 0 ? `SET ${setClauses.join(', ')}` : '',
+            removeClauses.length > 0 ? `REMOVE ${removeClauses.join(', ')}` : ''
+        ].filter(Boolean),
+        names,
+        values
+    };
+};
+
+// DynamoDB rejects empty attribute maps
+const withAttributes = (names, values) => ({
+    ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+    ...(Object.keys(values).length > 0 && { ExpressionAttributeValues: values })
+});
+
+/**
+ * Sets and removes attributes of an existing connection
+ *
+ * @param {string} connectionId - Connection to update
+ * @param {Object} changes
+ * @param {Object} [changes.set] - Attributes to set
+ * @param {Array} [changes.remove] - Attribute names to remove
+ * @returns {Object|null} Updated connection, or null if it does not exist
+ */
+const updateConnection = async (connectionId, changes) => {
+    const { clauses, names, values } = buildUpdate(changes);
+
+    return updateExisting(connectionId, {
+        UpdateExpression: clauses.join(' '),
+        ...withAttributes(names, values)
+    });
+};
+
+// Adds or deletes location IDs in the connection's string set, applying `changes` in the same write
+const modifyLocations = async (connectionId, operation, locationIds, changes = {}) => {
+    const { clauses, names, values } = buildUpdate(changes, {}, {
+        // IDs are stored as strings so the set never mixes types
+        ':locationIds': new Set(locationIds.map(String))
+    });
+
+    return updateExisting(connectionId, {
+        UpdateExpression: [`${operation} locationIds :locationIds`, ...clauses].join(' '),
+        ...withAttributes(names, values)
+    });
+};
+
+/**
+ * Adds location IDs to a connection
+ *
+ * @param {string} connectionId - Connection to update
+ * @param {Array} locationIds - IDs to add
+ * @param {Object} [changes] - Other attributes to set/remove in the same write
+ * @returns {Object|null} Updated connection, or null if it does not exist
+ */
+const addLocations = (connectionId, locationIds, changes) => modifyLocations(connectionId, 'ADD', locationIds, changes);
+
+const removeLocations = (connectionId, locationIds, changes) => modifyLocations(connectionId, 'DELETE', locationIds, changes);
+
+/**
+ * Stores the last weather snapshot sent to a connection and increments its sequence
+ *
+ * @returns {number|null} New sequence number, or null if the connection does not exist
+ */
+const recordSnapshot = async (connectionId, snapshot) => {
+    const updated = await updateExisting(connectionId, {
+        UpdateExpression: 'SET lastSnapshot = :snapshot ADD #sequenceAttribute :one',
+        ExpressionAttributeNames: {
+            '#sequenceAttribute': 'sequence'
+        },
+        ExpressionAttributeValues: {
+            ':snapshot': snapshot,
+            ':one': 1
+        }
+    });
+    return updated ? updated.sequence : null;
+};
+
+const listUserConnections = async (userId) => {
+    const connections = [];
+    let lastEvaluatedKey;
+
+    do {
+        const { Items, LastEvaluatedKey } = await dynamo.send(new QueryCommand({
+            TableName: CONFIG.CONNECTIONS_TABLE,
+            IndexName: CONFIG.CONNECTIONS_USER_INDEX,
+            KeyConditionExpression: 'userId = :userId',
+            ExpressionAttributeValues: {
+                ':userId': String(userId)
+            },
+            ExclusiveStartKey: lastEvaluatedKey
+        }));
+
+        connections.push(...(Items || []));
+        lastEvaluatedKey = LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return connections;
+};
+
+/**
+ * Returns one page of connections whose TTL has not passed
+ *
+ * @param {Object} [startKey] - nextKey from the previous page
+ * @returns {Object} { connections, nextKey }
+ */
+const listActiveConnectionsPage = async (startKey) => {
+    const { Items, LastEvaluatedKey } = await dynamo.send(new ScanCommand({
+        TableName: CONFIG.CONNECTIONS_TABLE,
+        FilterExpression: '#ttlAttribute > :now',
+        ExpressionAttributeNames: {
+            '#ttlAttribute': 'ttl'
+        },
+        ExpressionAttributeValues: {
+            ':now': Math.floor(Date.now() / 1000)
+        },
+        ExclusiveStartKey: startKey
+    }));
+
+    return { connections: Items || [], nextKey: LastEvaluatedKey };
+};
+
+module.exports = {
+    putConnection,
+    getConnection,
+    deleteConnection,
+    updateConnection,
+    addLocations,
+    removeLocations,
+    recordSnapshot,
+    listUserConnections,
+    listActiveConnectionsPage
+};
@@ -0,0 +1,86 @@
+/**
+ * WebSocket Error Module
+ *
+ * Defines the error type used for client-facing failures and the error envelope
+ * sent to clients: { type: "error", code, message, field, requestId, timestamp }.
+ */
+
+/**
+ * Error with a stable code the client can act on
+ */
+class WebSocketError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code (e.g. INVALID_JSON, MISSING_FIELD)
+   * @param {string} message - Human-readable description
+   * @param {Object} [options]
+   * @param {string} [options.field] - Message field the error refers to
+   * @param {number} [options.statusCode] - Status code returned to API Gateway
+   */
+  constructor(code, message, { field, statusCode = 400 } = {}) {
+    super(message);
+    this.name = 'WebSocketError';
+    this.code = code;
+    this.field = field;
+    this.statusCode = statusCode;
+  }
+}
+
+// Messages thrown by verifyToken mapped to client error codes
+const AUTH_ERROR_CODES = {
+  'No token provided': 'NO_TOKEN',
+  'Token has expired': 'TOKEN_EXPIRED',
+  'Token has been revoked': 'TOKEN_REVOKED',
+  'Invalid token signature': 'INVALID_TOKEN',
+  'Invalid token payload': 'INVALID_TOKEN',
+  'Token is not yet active': 'INVALID_TOKEN',
+  'Invalid token issuer': 'INVALID_TOKEN',
+  'Invalid token audience': 'INVALID_TOKEN',
+  'Unknown signing key': 'INVALID_TOKEN',
+  'Token verification failed': 'INVALID_TOKEN'
+};
+
+/**
+ * Converts any thrown error into a WebSocketError. Unknown errors become a
+ * generic INTERNAL_ERROR so internal details are not sent to clients.
+ *
+ * @param {Error} error - Error thrown while handling a message
+ * @returns {WebSocketError} Client-facing error
+ */
+const toWebSocketError = (error) => {
+  if (error instanceof WebSocketError) {
+    return error;
+  }
+
+  const authCode = AUTH_ERROR_CODES[error.message];
+  if (authCode) {
+    return new WebSocketError(authCode, error.message, { field: 'token', statusCode: 401 });
+  }
+
+  return new WebSocketError('INTERNAL_ERROR', 'An unexpected error occurred', { statusCode: 500 });
+};
+
+/**
+ * Builds the error envelope sent to clients
+ *
+ * @param {Error} error - Error to report
+ * @param {string} [requestId] - Request the error answers
+ * @returns {Object} Error message payload
+ */
+const createErrorMessage = (error, requestId) => {
+  const { code, message, field } = toWebSocketError(error);
+
+  return {
+    type: "error",
+    code,
+    message,
+    field,
+    requestId,
+    timestamp: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  WebSocketError,
+  toWebSocketError,
+  createErrorMessage
+};
@@ -0,0 +1,75 @@
+/**
+ * Fan-out Module
+ *
+ * Runs per-connection work (sends, probes) for many connections with a bounded
+ * number in flight (FANOUT_CONCURRENCY), so a large broadcast doesn't open
+ * thousands of API Gateway requests at once and one failing connection doesn't
+ * fail the rest.
+ */
+
+const CONFIG = require('./config');
+
+/**
+ * Runs a task for every item with at most `concurrency` tasks running at once
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} task - async (item, index) => result
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Maximum tasks in flight (default FANOUT_CONCURRENCY)
+ * @returns {Array} Promise.allSettled-style results, in the order of `items`
+ */
+const mapWithConcurrency = async (items, task, { concurrency = CONFIG.FANOUT_CONCURRENCY } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await task(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  return results;
+};
+
+/**
+ * Sends to every connection and reports the outcome for each
+ *
+ * @param {Array} connectionIds - Connections to send to
+ * @param {Function} send - async (connectionId) => boolean; false means the connection is gone
+ * @param {Object} [options] - { concurrency }
+ * @returns {Object} { connections, sent, gone, failed, results: [{ connectionId, status, error }] }
+ */
+const fanOut = async (connectionIds, send, options) => {
+  const settled = await mapWithConcurrency(connectionIds, send, options);
+  const summary = { connections: connectionIds.length, sent: 0, gone: 0, failed: 0, results: [] };
+
+  settled.forEach((result, index) => {
+    const connectionId = connectionIds[index];
+
+    if (result.status === 'rejected') {
+      summary.failed++;
+      summary.results.push({ connectionId, status: 'failed', error: result.reason?.message });
+    } else if (result.value === false) {
+      summary.gone++;
+      summary.results.push({ connectionId, status: 'gone' });
+    } else {
+      summary.sent++;
+      summary.results.push({ connectionId, status: 'sent' });
+    }
+  });
+
+  return summary;
+};
+
+module.exports = {
+  mapWithConcurrency,
+  fanOut
+};
@@ -7,46 +7,207 @@
  */
 
 const CONFIG = require('./config');
-const { logger } = require('@bradbunce/launchdarkly-lambda-logger');
+const {
+  logger,
+  runWithRequestContext,
+  getRequestContext,
+  resolveRequestId
+} = require('./requestContext');
 const {
   initializeLDClient,
   initializeLogger,
+  createMultiContext,
   cleanup
 } = require('./launchDarkly');
 const {
   storeConnection,
   removeConnection,
   sendMessageToClient,
-  verifyToken,
-  updateConnectionLocations,
+  getConnection,
+  addConnectionLocations,
+  removeConnectionLocations,
+  clearConnectionLocations,
+  getConnectionLocationIds,
+  setConnectionUnits,
+  updateConnectionAuth,
   updateConnectionTTL,
   cleanupUserConnections
 } = require("./websocket");
+const { verifyToken, isAdmin } = require("./auth");
+const { revokeToken, revokeUserTokens } = require("./revocations");
 const { processWeatherData } = require("./dataProcessor");
-const { getLocationsForUser } = require("./database");
+const { resolveUnits } = require("./preferences");
+const { sendWeatherSnapshot } = require("./weatherDelta");
+const { parseMessage } = require("./validation");
+const {
+  ENCODINGS,
+  PROTOCOLS,
+  DEFAULT_ENCODING,
+  isSupportedEncoding,
+  isSupportedProtocol,
+  decodeMessageBody
+} = require("./messageEncoding");
+const { WebSocketError, toWebSocketError, createErrorMessage } = require("./errors");
+const { refreshLocations, refreshSubscribedLocations, loadForecasts } = require("./weatherRefresh");
+const { ingestAlertFeed } = require("./alerts");
+const { sendTokenExpiringWarnings } = require("./tokenExpiry");
+const { createAnnouncement, broadcastAnnouncement } = require("./announcements");
+const { reapStaleConnections } = require("./reaper");
+const { getRouteControls, assertActionEnabled, createMaintenanceResponse } = require("./routeControls");
+const {
+  getLocationsForUser,
+  addUserLocation,
+  removeUserLocation,
+  updateLocationOrder,
+  setUserUnits
+} = require("./database");
+
+// Routes driven by the connection lifecycle rather than a client message body
+const CONNECTION_ROUTES = ["$connect", "$disconnect"];
+
+// Actions with their own API Gateway route; sent to $default they are dispatched to that route
+const NAMED_ROUTES = ["getWeather", "locationUpdate"];
 
 /**
- * Main Lambda handler function that processes WebSocket events
+ * Sends the user's favorite locations with current weather to a connection as a
+ * full snapshot, resetting the baseline used for weatherDelta pushes
  * 
- * @param {Object} event - AWS Lambda event object containing WebSocket event details
- * @returns {Object} Response object with statusCode and body
+ * @param {string} connectionId - WebSocket connection ID
+ * @param {string} userId - User whose locations should be sent
+ * @returns {Array} Processed weather data that was sent
  */
-exports.handler = async (event) => {
-  const connectionId = event.requestContext.connectionId;
+const sendWeatherUpdate = async (connectionId, userId) => {
+  const locations = await getLocationsForUser(userId);
+  const units = await resolveUnits(userId, connectionId);
+  const processedData = await processWeatherData(locations, { units });
+
+  await sendWeatherSnapshot(connectionId, processedData);
+
+  return processedData;
+};
+
+// Narrows a user's locations to the requested IDs; no IDs means all of them
+const filterLocations = (userLocations, locationIds) => {
+  if (locationIds.length === 0) {
+    return userLocations;
+  }
+
+  // Clients may send IDs as strings while database rows hold numbers
+  const requested = new Set(locationIds.map(String));
+  return userLocations.filter(loc => requested.has(String(loc.location_id)));
+};
+
+/**
+ * Refreshes locations that were just sent flagged `stale` and sends a second
+ * weatherUpdate once the fresh data is cached (stale-while-revalidate). The
+ * first update has already gone out, so failures are logged rather than thrown.
+ *
+ * @param {string} connectionId - WebSocket connection ID
+ * @param {string} userId - User whose locations were sent
+ * @param {Array} processedData - Processed weather data that was sent
+ * @param {Object} options - { locations: requested location IDs, units }
+ * @returns {number} Number of stale locations that were refreshed
+ */
+const revalidateStaleWeather = async (connectionId, userId, processedData, { locations, units }) => {
+  const staleLocationIds = processedData.filter(location => location.stale).map(location => location.id);
+  if (staleLocationIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    logger.info("Refreshing stale locations", { connectionId, locationIds: staleLocationIds });
+    const { rowsByLocation, failed } = await refreshLocations(staleLocationIds);
+    if (failed > 0) {
+      logger.warn("Some stale locations could not be refreshed", { connectionId, failed });
+    }
+    if (rowsByLocation.size === 0) {
+      return 0;
+    }
+
+    const freshLocations = filterLocations(await getLocationsForUser(userId), locations);
+    await sendWeatherSnapshot(connectionId, await processWeatherData(freshLocations, { units }));
+
+    return rowsByLocation.size;
+  } catch (error) {
+    logger.error("Failed to refresh stale locations", {
+      connectionId,
+      locationIds: staleLocationIds,
+      error: error.message
+    });
+    return 0;
+  }
+};
+
+// Collects location IDs from either a single `locationId` or a `locationIds` list
+const requestedLocationIds = (messageData) => [
+  ...(messageData.locationIds || []),
+  ...(messageData.locationId !== undefined ? [messageData.locationId] : [])
+].map(String);
+
+/**
+ * Sends the connection's current set of subscribed location IDs
+ * 
+ * @param {string} connectionId - WebSocket connection ID
+ * @param {Array} locationIds - Subscribed location IDs
+ */
+const sendSubscriptions = (connectionId, locationIds) => sendMessageToClient(connectionId, {
+  type: "subscriptions",
+  locationIds,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Gets the container's LaunchDarkly client and initializes the logger for this
+ * invocation. Failures are logged rather than thrown, so the event is still
+ * handled with default flag values.
+ * 
+ * @param {Object} [claims] - Verified token claims identifying the user for flag targeting
+ * @returns {Object} { ldClient, ldContext }; either is undefined if it could not be set up
+ */
+const setUpLaunchDarkly = async (claims) => {
   let ldClient;
+  let ldContext;
   try {
-    // Initialize LaunchDarkly client
     ldClient = await initializeLDClient();
-
-    // Initialize logger with token from event
-    const token = event.queryStringParameters?.token;
-    await initializeLogger(ldClient, token, verifyToken);
+    ldContext = await initializeLogger(ldClient, claims);
   } catch (error) {
     logger.error('LaunchDarkly initialization failed:', {
       error: error.message
     });
-    throw error;
   }
+  return { ldClient, ldContext };
+};
+
+/**
+ * Verifies the token a client connects with. The outcome is kept so the claims
+ * can target flags and the $connect route doesn't verify the token again.
+ *
+ * @param {string} [token] - Token from the $connect query string
+ * @returns {Object} { claims } on success, { error } on failure, or {} without a token
+ */
+const verifyConnectToken = async (token) => {
+  if (!token) {
+    return {};
+  }
+
+  try {
+    return { claims: await verifyToken(token) };
+  } catch (error) {
+    return { error };
+  }
+};
+
+/**
+ * Processes a WebSocket event within its request context
+ * 
+ * @param {Object} event - AWS Lambda event object containing WebSocket event details
+ * @returns {Object} Response object with statusCode and body
+ */
+const handleWebSocketEvent = async (event) => {
+  const connectionId = event.requestContext.connectionId;
+  // Initialize logger with the user of the token from event
+  const connectAuth = await verifyConnectToken(event.queryStringParameters?.token);
+  const { ldClient, ldContext } = await setUpLaunchDarkly(connectAuth.claims);
 
   const startTime = Date.now();
 
@@ -70,13 +231,74 @@ exports.handler = async (event) => {
   };
 
   try {
-    switch (event.requestContext.routeKey) {
+    // Validate client messages against their action schema before dispatch
+    const messageData = CONNECTION_ROUTES.includes(event.requestContext.routeKey)
+      ? null
+      : parseMessage(event.requestContext.routeKey, decodeMessageBody(event));
+
+    // Client messages carry their own token; the query string token is only sent on $connect
+    const decoded = messageData ? await verifyToken(messageData.token) : undefined;
+
+    // Operators can switch off actions, or the whole service, with the route controls flag
+    if (event.requestContext.routeKey !== "$disconnect") {
+      const controls = await getRouteControls(ldClient, decoded ? createMultiContext(decoded) : ldContext);
+
+      if (event.requestContext.routeKey === "$connect" && controls.maintenance) {
+        logger.warn("Refusing connection during maintenance", {
+          retryAfterSeconds: controls.maintenance.retryAfterSeconds
+        });
+        return createMaintenanceResponse(controls.maintenance);
+      }
+
+      if (messageData) {
+        assertActionEnabled(messageData.action, controls);
+      }
+    }
+
+    const route = event.requestContext.routeKey === "$default" && NAMED_ROUTES.includes(messageData.action)
+      ? messageData.action
+      : event.requestContext.routeKey;
+
+    switch (route) {
 
       case "$connect": {
         logWithTiming("Processing $connect route");
         const connectionId = event.requestContext.connectionId;
         const token = event.queryStringParameters?.token;
         const providedUserId = event.queryStringParameters?.userId;
+        const encoding = event.queryStringParameters?.encoding;
+        const protocol = event.queryStringParameters?.protocol;
+    
+        if (!isSupportedEncoding(encoding)) {
+            logger.warn("Unsupported message encoding", { encoding });
+            return { 
+                statusCode: 400, 
+                body: JSON.stringify({ 
+                    message: `Unsupported encoding. Use one of: ${ENCODINGS.join(', ')}` 
+                }) 
+            };
+        }
+    
+        if (!isSupportedProtocol(protocol)) {
+            logger.warn("Unsupported message protocol", { protocol });
+            return { 
+                statusCode: 400, 
+                body: JSON.stringify({ 
+                    message: `Unsupported protocol. Use one of: ${PROTOCOLS.join(', ')}` 
+                }) 
+            };
+        }
+    
+        // Compressed envelopes are JSON, so they only apply to the json protocol
+        if (protocol === 'msgpack' && encoding !== undefined && encoding !== DEFAULT_ENCODING) {
+            logger.warn("Encoding not available with msgpack", { encoding });
+            return { 
+                statusCode: 400, 
+                body: JSON.stringify({ 
+                    message: "Compressed encodings are not available with the msgpack protocol" 
+                }) 
+            };
+        }
     
         if (!token || !providedUserId) {
             logger.warn("Missing token or userId", { 
@@ -92,9 +314,12 @@ exports.handler = async (event) => {
         }
     
         try {
-            const decoded = verifyToken(token);
-            
-            
+            // Verified once at the start of the invocation
+            if (connectAuth.error) {
+                throw connectAuth.error;
+            }
+            const decoded = connectAuth.claims;
+    
             // Allow connection if either:
             // 1. Provided userId matches the numeric user ID from token
             // 2. Provided userId matches the username from token
@@ -116,8 +341,8 @@ exports.handler = async (event) => {
                 };
             }
     
-            // Store the connection with the numeric user ID
-            await storeConnection(connectionId, decoded.userId);
+            // Store the connection with the numeric user ID, when its token expires and its wire format
+            await storeConnection(connectionId, decoded.userId, decoded.exp, { encoding, protocol });
             logWithTiming("Connection stored");
     
             // Retrieve user's locations
@@ -132,13 +357,11 @@ exports.handler = async (event) => {
     
             // Process and send weather data if locations exist
             if (locations.length > 0) {
-                const processedData = await processWeatherData(locations);
+                // A new connection has no override yet, so the saved preference applies
+                const units = await resolveUnits(decoded.userId);
+                const processedData = await processWeatherData(locations, { units });
                 
-                await sendMessageToClient(connectionId, {
-                    type: "weatherUpdate",
-                    data: processedData,
-                    timestamp: new Date().toISOString()
-                });
+                await sendWeatherSnapshot(connectionId, processedData);
             } else {
                 await sendMessageToClient(connectionId, {
                     type: "noLocations",
@@ -170,6 +393,15 @@ exports.handler = async (event) => {
                     }) 
                 };
             }
+
+            if (verificationError.message.includes('revoked')) {
+                return { 
+                    statusCode: 401, 
+                    body: JSON.stringify({ 
+                        message: "Token has been revoked. Please log in again." 
+                    }) 
+                };
+            }
     
             return { 
                 statusCode: 401, 
@@ -188,49 +420,21 @@ exports.handler = async (event) => {
 
       case "getWeather": {
         logWithTiming("Processing getWeather route");
-        const messageData = JSON.parse(event.body);
         const connectionId = event.requestContext.connectionId;
         
-        // Extract token and locations, with fallbacks
-        const token = messageData.token;
+        // Extract locations, with fallbacks
         const locations = messageData.locations || [];
     
         try {
-            // Check if token is provided
-            if (!token) {
-                logger.warn("No token provided", { connectionId });
-                
-                await sendMessageToClient(connectionId, {
-                    type: "error",
-                    message: "Authentication required. Please reconnect.",
-                    code: "NO_TOKEN"
-                });
-    
-                return { 
-                    statusCode: 401, 
-                    body: JSON.stringify({ 
-                        message: "Authentication token is required" 
-                    }) 
-                };
-            }
-    
-            // Verify token
-            const decoded = verifyToken(token);
-            
-            
-            logWithTiming("Token verified", { userId: decoded.userId });
-    
             // Update connection TTL
-            await updateConnectionTTL(connectionId, decoded.userId);
+            await updateConnectionTTL(connectionId);
             logWithTiming("Refreshed connection TTL");
     
             // Retrieve user locations
             const userLocations = await getLocationsForUser(decoded.userId);
             
             // Filter locations if specific ones are requested
-            const filteredLocations = locations.length > 0 
-                ? userLocations.filter(loc => locations.includes(loc.location_id))
-                : userLocations;
+            const filteredLocations = filterLocations(userLocations, locations);
     
             logWithTiming("Retrieved locations with weather data", {
                 requestedLocationCount: locations.length,
@@ -239,20 +443,26 @@ exports.handler = async (event) => {
             });
     
             // Process weather data
-            const processedData = await processWeatherData(filteredLocations);
+            const units = await resolveUnits(decoded.userId, connectionId);
+            const processedData = await processWeatherData(filteredLocations, { units });
     
             // Send weather update
-            await sendMessageToClient(connectionId, {
-                type: "weatherUpdate",
-                data: processedData,
-                timestamp: new Date().toISOString()
-            });
+            await sendWeatherSnapshot(connectionId, processedData);
+
+            // Stale cached rows are served first, then refreshed and sent again
+            const refreshedLocationCount = await revalidateStaleWeather(
+                connectionId,
+                decoded.userId,
+                processedData,
+                { locations, units }
+            );
     
             return { 
                 statusCode: 200, 
                 body: JSON.stringify({ 
                     message: "Weather data sent successfully",
-                    locationCount: processedData.length
+                    locationCount: processedData.length,
+                    refreshedLocationCount
                 }) 
             };
     
@@ -266,11 +476,10 @@ exports.handler = async (event) => {
     
             // Send specific error messages
             try {
-                await sendMessageToClient(connectionId, {
-                    type: "error",
-                    message: error.message,
-                    code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'UNKNOWN_ERROR'
-                });
+                await sendMessageToClient(
+                    connectionId,
+                    createErrorMessage(error, getRequestContext().requestId)
+                );
             } catch (sendError) {
                 logger.error("Failed to send error message", { 
                     originalError: error.message,
@@ -280,7 +489,7 @@ exports.handler = async (event) => {
     
             // Throw or return error response
             return { 
-                statusCode: 500, 
+                statusCode: toWebSocketError(error).statusCode, 
                 body: JSON.stringify({ 
                     message: "Failed to retrieve weather data",
                     error: error.message 
@@ -291,18 +500,7 @@ exports.handler = async (event) => {
 
     case "locationUpdate": {
       logWithTiming("Processing locationUpdate route");
-      const messageData = JSON.parse(event.body);
-      const decoded = verifyToken(messageData.token);
-      
-      
-      const locations = await getLocationsForUser(decoded.userId);
-      const processedData = await processWeatherData(locations);
-      
-      await sendMessageToClient(connectionId, {
-        type: "weatherUpdate",
-        data: processedData,
-        timestamp: new Date().toISOString()
-      });
+      await sendWeatherUpdate(connectionId, decoded.userId);
     
       return { statusCode: 200, body: JSON.stringify({ message: "Location update sent" }) };
     }
@@ -311,63 +509,291 @@ exports.handler = async (event) => {
         logWithTiming("Processing $default route");
         
         try {
-          const messageData = JSON.parse(event.body);
-          const decoded = verifyToken(messageData.token);
-          
-          
           switch (messageData.action) {
             case "subscribe": {
-              const { locationId } = messageData;
-              
-              if (!locationId) {
-                return {
-                  statusCode: 400,
-                  body: JSON.stringify({ message: "Location ID is required for subscription" })
-                };
+              const locationIds = requestedLocationIds(messageData);
+
+              if (locationIds.length === 0) {
+                throw new WebSocketError("MISSING_FIELD", 'Field "locationId" or "locationIds" is required', {
+                  field: "locationIds"
+                });
               }
 
               logWithTiming("Processing subscription", {
+                userId: decoded.userId,
+                locationIds
+              });
+
+              // Only the user's favorite locations can be watched
+              const userLocations = await getLocationsForUser(decoded.userId);
+              const favoriteIds = new Set(userLocations.map(loc => String(loc.location_id)));
+              const unknownId = locationIds.find(id => !favoriteIds.has(id));
+              if (unknownId !== undefined) {
+                throw new WebSocketError("LOCATION_NOT_FOUND", `Location ${unknownId} is not one of the user's favorites`, {
+                  field: "locationIds",
+                  statusCode: 404
+                });
+              }
+
+              const subscribed = await addConnectionLocations(connectionId, locationIds);
+              logWithTiming("Location subscription updated", { locationIds: subscribed });
+
+              await sendSubscriptions(connectionId, subscribed);
+              await sendWeatherUpdate(connectionId, decoded.userId);
+
+              return { statusCode: 200, body: JSON.stringify({ message: "Subscribed successfully" }) };
+            }
+
+            case "unsubscribe": {
+              const locationIds = requestedLocationIds(messageData);
+
+              // Without specific IDs every subscription on the connection is removed
+              const subscribed = locationIds.length > 0
+                ? await removeConnectionLocations(connectionId, locationIds)
+                : await clearConnectionLocations(connectionId);
+              logWithTiming("Location subscription removed", { locationIds: subscribed });
+
+              await sendSubscriptions(connectionId, subscribed);
+              return { statusCode: 200, body: JSON.stringify({ message: "Unsubscribed successfully" }) };
+            }
+
+            case "listSubscriptions": {
+              const connection = await getConnection(connectionId);
+              await sendSubscriptions(connectionId, getConnectionLocationIds(connection));
+              return { statusCode: 200, body: JSON.stringify({ message: "Subscriptions sent" }) };
+            }
+
+            case "addLocation": {
+              const { locationId } = messageData;
+
+              logWithTiming("Adding favorite location", {
                 userId: decoded.userId,
                 locationId
               });
 
-              await updateConnectionLocations(connectionId, locationId);
-              logWithTiming("Location subscription updated");
+              try {
+                await addUserLocation(decoded.userId, { locationId });
+              } catch (error) {
+                if (error.code !== 'LOCATION_EXISTS' && error.code !== 'ER_DUP_ENTRY') {
+                  throw error;
+                }
+
+                throw new WebSocketError("LOCATION_EXISTS", "Location already exists for user", {
+                  field: "locationId",
+                  statusCode: 409
+                });
+              }
+
+              await sendWeatherUpdate(connectionId, decoded.userId);
+              logWithTiming("Favorite location added");
+
+              return { statusCode: 200, body: JSON.stringify({ message: "Location added successfully" }) };
+            }
+
+            case "removeLocation": {
+              const { locationId } = messageData;
+
+              logWithTiming("Removing favorite location", {
+                userId: decoded.userId,
+                locationId
+              });
+
+              const removed = await removeUserLocation(decoded.userId, locationId);
+              if (!removed) {
+                throw new WebSocketError("LOCATION_NOT_FOUND", "Location is not one of the user's favorites", {
+                  field: "locationId",
+                  statusCode: 404
+                });
+              }
+
+              // Stop pushing updates for a location that is no longer a favorite
+              await removeConnectionLocations(connectionId, [locationId]);
+              await sendWeatherUpdate(connectionId, decoded.userId);
+              logWithTiming("Favorite location removed");
+
+              return { statusCode: 200, body: JSON.stringify({ message: "Location removed successfully" }) };
+            }
+
+            case "reorderLocations": {
+              const { locationIds } = messageData;
+
+              logWithTiming("Reordering favorite locations", {
+                userId: decoded.userId,
+                locationCount: locationIds.length
+              });
+
+              // Display order follows the position of each ID in the list
+              await updateLocationOrder(
+                decoded.userId,
+                locationIds.map((locationId, order) => ({ locationId, order }))
+              );
+              await sendWeatherUpdate(connectionId, decoded.userId);
+              logWithTiming("Favorite locations reordered");
+
+              return { statusCode: 200, body: JSON.stringify({ message: "Locations reordered successfully" }) };
+            }
+
+            case "getForecast": {
+              const { locationId } = messageData;
+
+              logWithTiming("Processing forecast request", {
+                userId: decoded.userId,
+                locationId
+              });
+
+              const userLocations = await getLocationsForUser(decoded.userId);
+              const requestedLocations = locationId
+                ? userLocations.filter(loc => String(loc.location_id) === String(locationId))
+                : userLocations;
+
+              if (locationId && requestedLocations.length === 0) {
+                throw new WebSocketError("LOCATION_NOT_FOUND", "Location is not one of the user's favorites", {
+                  field: "locationId",
+                  statusCode: 404
+                });
+              }
+
+              const forecasts = await loadForecasts(requestedLocations);
+              const units = await resolveUnits(decoded.userId, connectionId);
+              const processedData = await processWeatherData(forecasts, { units });
 
-              const locations = await getLocationsForUser(decoded.userId);
-              const processedData = await processWeatherData(locations);
-              
               await sendMessageToClient(connectionId, {
-                type: "weatherUpdate",
+                type: "forecastUpdate",
                 data: processedData,
                 timestamp: new Date().toISOString()
               });
+              logWithTiming("Forecast sent", { locationCount: processedData.length });
 
-              return { statusCode: 200, body: JSON.stringify({ message: "Subscribed successfully" }) };
+              return { statusCode: 200, body: JSON.stringify({ message: "Forecast sent successfully" }) };
             }
 
-            case "unsubscribe": {
-              await updateConnectionLocations(connectionId, null);
-              logWithTiming("Location subscription removed");
-              return { statusCode: 200, body: JSON.stringify({ message: "Unsubscribed successfully" }) };
+            case "reauthenticate": {
+              // The fresh token was verified above; it must belong to the connection's user
+              const connection = await getConnection(connectionId);
+              if (!connection) {
+                throw new WebSocketError("CONNECTION_NOT_FOUND", "Connection is no longer registered; reconnect", {
+                  statusCode: 404
+                });
+              }
+              if (String(connection.userId) !== String(decoded.userId)) {
+                throw new WebSocketError("USER_MISMATCH", "Token does not belong to the user of this connection", {
+                  field: "token",
+                  statusCode: 403
+                });
+              }
+
+              await updateConnectionAuth(connectionId, decoded.exp);
+              logWithTiming("Connection reauthenticated", {
+                userId: decoded.userId,
+                expiresAt: decoded.exp
+              });
+
+              await sendMessageToClient(connectionId, {
+                type: "reauthenticated",
+                expiresAt: new Date(decoded.exp * 1000).toISOString(),
+                timestamp: new Date().toISOString()
+              });
+
+              return { statusCode: 200, body: JSON.stringify({ message: "Reauthenticated successfully" }) };
+            }
+
+            case "announce": {
+              if (!isAdmin(decoded)) {
+                throw new WebSocketError("FORBIDDEN", "Admin role required", {
+                  field: "token",
+                  statusCode: 403
+                });
+              }
+
+              const announcement = createAnnouncement(messageData);
+              logWithTiming("Broadcasting announcement", {
+                userId: decoded.userId,
+                announcementId: announcement.id,
+                severity: announcement.severity
+              });
+
+              const summary = await broadcastAnnouncement(announcement);
+
+              await sendMessageToClient(connectionId, {
+                type: "announcementSent",
+                id: announcement.id,
+                ...summary,
+                timestamp: new Date().toISOString()
+              });
+
+              return { statusCode: 200, body: JSON.stringify({ message: "Announcement sent", ...summary }) };
+            }
+
+            case "setUnits": {
+              const { units, persist } = messageData;
+
+              logWithTiming("Setting units", {
+                userId: decoded.userId,
+                units,
+                persist: !!persist
+              });
+
+              await setConnectionUnits(connectionId, units);
+
+              // Optionally save the choice as the user's default for future connections
+              if (persist) {
+                await setUserUnits(decoded.userId, units);
+              }
+
+              // Resend everything in the new units; this also resets the delta baseline
+              await sendWeatherUpdate(connectionId, decoded.userId);
+              logWithTiming("Units updated");
+
+              return { statusCode: 200, body: JSON.stringify({ message: "Units updated successfully" }) };
+            }
+
+            case "resync": {
+              // Client detected a gap in weather sequence numbers; send a full snapshot
+              logWithTiming("Processing resync", {
+                userId: decoded.userId,
+                lastSequence: messageData.lastSequence
+              });
+
+              await sendWeatherUpdate(connectionId, decoded.userId);
+
+              return { statusCode: 200, body: JSON.stringify({ message: "Snapshot sent" }) };
             }
 
             case "logout": {
-              logWithTiming("Processing logout", { userId: decoded.userId });
-              await cleanupUserConnections(decoded.userId);
-              logWithTiming("User connections cleaned up");
+              const currentSessionOnly = messageData.currentSessionOnly === true;
+              logWithTiming("Processing logout", { userId: decoded.userId, currentSessionOnly });
+
+              // Revoke before disconnecting so the token can't open a new socket
+              if (currentSessionOnly) {
+                await revokeToken(decoded);
+                logWithTiming("Token revoked");
+
+                await removeConnection(connectionId);
+                logWithTiming("Connection removed");
+              } else {
+                // Signs out every device: the user's earlier tokens and all of their connections
+                await revokeToken(decoded);
+                await revokeUserTokens(decoded);
+                logWithTiming("User tokens revoked");
+
+                await cleanupUserConnections(decoded.userId);
+                logWithTiming("User connections cleaned up");
+              }
+
               return { statusCode: 200, body: JSON.stringify({ message: "Logout successful" }) };
             }
 
             default:
-              logger.warn("Unknown action received", { action: messageData.action });
-              return { statusCode: 400, body: JSON.stringify({ message: "Unknown action" }) };
+              throw new WebSocketError("UNKNOWN_ACTION", `Unknown action: ${messageData.action}`, { field: "action" });
           }
         } catch (error) {
-          logger.error("Default route error", { 
-            error: error.message,
-            stack: error.stack
-          });
+          // Client errors are reported by the outer handler without a stack trace
+          if (!(error instanceof WebSocketError)) {
+            logger.error("Default route error", { 
+              error: error.message,
+              stack: error.stack
+            });
+          }
           throw error;
         }
       }
@@ -377,18 +803,28 @@ exports.handler = async (event) => {
         return { statusCode: 400, body: JSON.stringify({ message: "Unknown route" }) };
       }
     } catch (error) {
-      logger.error("Unexpected error", {
-        error: error.message,
-        stack: error.stack,
-        connectionId
-      });
+      const clientError = toWebSocketError(error);
+
+      if (clientError.statusCode >= 500) {
+        logger.error("Unexpected error", {
+          error: error.message,
+          stack: error.stack,
+          connectionId
+        });
+      } else {
+        logger.warn("Rejected client message", {
+          code: clientError.code,
+          field: clientError.field,
+          error: clientError.message,
+          connectionId
+        });
+      }
   
       try {
-        await sendMessageToClient(connectionId, {
-          type: "error",
-          message: "An unexpected error occurred",
-          timestamp: new Date().toISOString()
-        });
+        await sendMessageToClient(
+          connectionId,
+          createErrorMessage(clientError, getRequestContext().requestId)
+        );
       } catch (sendError) {
         logger.error("Failed to send error message", { 
           error: sendError.message,
@@ -397,13 +833,154 @@ exports.handler = async (event) => {
         });
       }
   
-      return { statusCode: 500, body: JSON.stringify({ message: "Internal server error" }) };
+      return {
+        statusCode: clientError.statusCode,
+        body: JSON.stringify({
+          message: clientError.statusCode >= 500 ? "Internal server error" : clientError.message,
+          code: clientError.code
+        })
+      };
     } finally {
       logger.info("Request completed", { 
         totalTime: Date.now() - startTime 
       });
     
-      // Clean up LaunchDarkly resources
+      // Flush LaunchDarkly events; the client is kept for the next invocation
       await cleanup(ldClient);
     }
   };
+
+/**
+ * Main Lambda handler function that processes WebSocket events
+ * 
+ * Each invocation runs with a correlation ID (the client's `requestId`, or a
+ * generated one) that is added to every log call and echoed on every reply.
+ * 
+ * @param {Object} event - AWS Lambda event object containing WebSocket event details
+ * @returns {Object} Response object with statusCode and body
+ */
+exports.handler = (event) => runWithRequestContext(
+  {
+    requestId: resolveRequestId(event),
+    connectionId: event.requestContext.connectionId
+  },
+  () => handleWebSocketEvent(event)
+);
+
+/**
+ * Scheduled Lambda handler (EventBridge) that refreshes weather for subscribed
+ * locations and pushes the results to the connections watching them
+ * 
+ * @param {Object} event - EventBridge scheduled event
+ * @returns {Object} Response object with statusCode and refresh summary
+ */
+exports.scheduledHandler = async (event) => {
+  // No user token on scheduled events, so the logger uses an anonymous context
+  const { ldClient } = await setUpLaunchDarkly(undefined);
+
+  const startTime = Date.now();
+  logger.info('Received scheduled weather refresh', {
+    source: event?.source,
+    time: event?.time
+  });
+
+  try {
+    const summary = await refreshSubscribedLocations();
+
+    // Alerts from the local feed file are ingested on the same schedule
+    summary.feedAlerts = await ingestAlertFeed();
+
+    // Warn clients whose token is about to expire so they can reauthenticate
+    summary.tokenWarnings = await sendTokenExpiringWarnings();
+
+    logger.info('Scheduled weather refresh completed', {
+      ...summary,
+      totalTime: Date.now() - startTime
+    });
+
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  } catch (error) {
+    logger.error('Scheduled weather refresh failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  } finally {
+    await cleanup(ldClient);
+  }
+};
+
+/**
+ * Standalone handler for sending an operator announcement to every live
+ * connection, e.g. invoked from the console or a deployment pipeline
+ * 
+ * @param {Object} event - { message, severity, expiresAt }
+ * @returns {Object} Response object with statusCode and send summary
+ */
+exports.announcementHandler = async (event) => {
+  const { ldClient } = await setUpLaunchDarkly(undefined);
+
+  try {
+    const announcement = createAnnouncement(event || {});
+    logger.info('Received announcement', {
+      announcementId: announcement.id,
+      severity: announcement.severity,
+      expiresAt: announcement.expiresAt
+    });
+
+    const summary = await broadcastAnnouncement(announcement);
+    return { statusCode: 200, body: JSON.stringify({ id: announcement.id, ...summary }) };
+  } catch (error) {
+    if (error instanceof WebSocketError) {
+      logger.warn('Rejected announcement', { code: error.code, error: error.message });
+      return {
+        statusCode: error.statusCode,
+        body: JSON.stringify({ message: error.message, code: error.code })
+      };
+    }
+
+    logger.error('Announcement broadcast failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  } finally {
+    await cleanup(ldClient);
+  }
+};
+
+/**
+ * Scheduled Lambda handler (EventBridge) that removes connections API Gateway
+ * no longer has, so the connections table reflects the open sockets
+ * 
+ * @param {Object} event - EventBridge scheduled event
+ * @returns {Object} Response object with statusCode and { checked, removed, errors }
+ */
+exports.reaperHandler = async (event) => {
+  const { ldClient } = await setUpLaunchDarkly(undefined);
+
+  const startTime = Date.now();
+  logger.info('Received stale connection reaping', {
+    source: event?.source,
+    time: event?.time
+  });
+
+  try {
+    const summary = await reapStaleConnections();
+
+    logger.info('Stale connection reaping finished', {
+      ...summary,
+      totalTime: Date.now() - startTime
+    });
+
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  } catch (error) {
+    logger.error('Stale connection reaping failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  } finally {
+    await cleanup(ldClient);
+  }
+};
@@ -38,7 +38,30 @@ const mockLogger = {
 
 // Mock all dependencies before requiring any modules
 jest.mock('./config', () => ({
-  CONNECTIONS_TABLE: 'test-connections-table'
+  CONNECTIONS_TABLE: 'test-connections-table',
+  CONNECTIONS_USER_INDEX: 'userId-index',
+  REVOCATIONS_TABLE: 'test-revocations-table',
+  CONNECTION_STORE: 'memory',
+  CONNECTION_TTL_HOURS: 24,
+  TOKEN_EXPIRY_WARNING_SECONDS: 300,
+  JWT_ALGORITHMS: [],
+  JWT_JWKS_FILE: '/keys/jwks.json',
+  JWT_JWKS_CACHE_SECONDS: 600,
+  JWT_ISSUER: 'https://auth.test',
+  JWT_AUDIENCE: ['weather-app'],
+  JWT_CLOCK_TOLERANCE_SECONDS: 30,
+  JWT_MAX_TOKEN_LIFETIME_SECONDS: 86400,
+  FANOUT_CONCURRENCY: 10,
+  MAX_FRAME_BYTES: 128 * 1024,
+  MAX_SNAPSHOT_BYTES: 300 * 1024,
+  WEATHER_API_BASE_URL: 'http://weather.test/v1',
+  WEATHER_API_TIMEOUT_MS: 5000,
+  FORECAST_DAYS: 3,
+  FORECAST_HOURS: 48,
+  WEATHER_FRESHNESS_SECONDS: 1800,
+  DB_CACHE_TTL_SECONDS: 30,
+  DB_CACHE_MAX_ENTRIES: 100,
+  ROUTE_CONTROLS_FLAG_KEY: 'route-controls'
 }));
 
 jest.mock('@bradbunce/launchdarkly-lambda-logger', () => ({
@@ -86,34 +109,22 @@ const mockInitializeLDClient = jest.fn().mockImplementation(async () => {
   return client;
 });
 
-const mockInitializeLogger = jest.fn().mockImplementation(async (client, token, verifyToken) => {
-  let userContext;
-  if (token) {
-    try {
-      const decoded = verifyToken(token);
-      userContext = {
-        kind: 'user',
-        key: decoded.username || String(decoded.userId),
-        name: decoded.name,
-        userId: decoded.userId,
-        anonymous: false
-      };
-    } catch (error) {
-      userContext = {
-        kind: 'user',
-        key: 'anonymous',
-        anonymous: true
-      };
+const mockCreateMultiContext = jest.fn().mockImplementation((claims) => {
+  const userContext = claims
+    ? {
+      kind: 'user',
+      key: claims.username || String(claims.userId),
+      name: claims.name,
+      userId: claims.userId,
+      anonymous: false
     }
-  } else {
-    userContext = {
+    : {
       kind: 'user',
       key: 'anonymous',
       anonymous: true
     };
-  }
 
-  const multiContext = {
+  return {
     kind: 'multi',
     user: userContext,
     service: {
@@ -123,6 +134,10 @@ const mockInitializeLogger = jest.fn().mockImplementation(async (client, token,
       environment: 'test'
     }
   };
+});
+
+const mockInitializeLogger = jest.fn().mockImplementation(async (client, claims) => {
+  const multiContext = mockCreateMultiContext(claims);
 
   // Set up event listeners
   client.on('update', () => {});
@@ -140,21 +155,21 @@ const mockInitializeLogger = jest.fn().mockImplementation(async (client, token,
 });
 
 const mockCleanup = jest.fn().mockImplementation(async (client) => {
-  await client.flush();
-  await Promise.all([
-    logger.close(),
-    client.close()
-  ]);
+  // The client is reused by the next invocation, so it is flushed rather than closed
+  if (client) {
+    await client.flush();
+  }
 });
 
 jest.mock('./launchDarkly', () => ({
   initializeLDClient: mockInitializeLDClient,
   initializeLogger: mockInitializeLogger,
+  createMultiContext: mockCreateMultiContext,
   cleanup: mockCleanup
 }));
 
 // Now require the modules after all mocks are set up
-const { handler } = require('./index');
+const { handler, scheduledHandler, announcementHandler, reaperHandler } = require('./index');
 const LaunchDarkly = require('@launchdarkly/node-server-sdk');
 const { logger } = require('@bradbunce/launchdarkly-lambda-logger');
 
@@ -162,22 +177,98 @@ jest.mock('./websocket', () => ({
   storeConnection: jest.fn().mockResolvedValue(),
   removeConnection: jest.fn().mockResolvedValue(),
   sendMessageToClient: jest.fn().mockResolvedValue(),
-  verifyToken: jest.fn().mockReturnValue({ 
+  // Fans out through the mocked sendMessageToClient so tests can script per-connection results
+  sendToConnections: jest.fn((connectionIds, payload) => require('./fanOut').fanOut(
+    connectionIds,
+    connectionId => require('./websocket').sendMessageToClient(connectionId, payload)
+  )),
+  isConnectionAlive: jest.fn().mockResolvedValue(true),
+  addConnectionLocations: jest.fn().mockResolvedValue(['42', '7']),
+  removeConnectionLocations: jest.fn().mockResolvedValue(['7']),
+  clearConnectionLocations: jest.fn().mockResolvedValue([]),
+  getConnectionLocationIds: jest.fn().mockReturnValue([]),
+  getSubscribedConnections: jest.fn().mockResolvedValue([]),
+  setConnectionUnits: jest.fn().mockResolvedValue(),
+  getLiveConnectionsPage: jest.fn().mockResolvedValue({ connections: [], nextKey: undefined }),
+  updateConnectionAuth: jest.fn().mockResolvedValue(),
+  updateConnectionTTL: jest.fn().mockResolvedValue(),
+  cleanupUserConnections: jest.fn().mockResolvedValue(),
+  broadcastToUserConnections: jest.fn().mockResolvedValue(),
+  getExpiringConnections: jest.fn().mockResolvedValue([]),
+  markExpiryWarningSent: jest.fn().mockResolvedValue(),
+  getConnection: jest.fn().mockResolvedValue(null),
+  recordConnectionSnapshot: jest.fn().mockResolvedValue(1)
+}));
+
+jest.mock('./auth', () => ({
+  verifyToken: jest.fn().mockResolvedValue({ 
     userId: '123', 
     username: 'testuser',
     name: 'Test User'
   }),
-  updateConnectionLocations: jest.fn().mockResolvedValue(),
-  updateConnectionTTL: jest.fn().mockResolvedValue(),
-  cleanupUserConnections: jest.fn().mockResolvedValue()
+  isAdmin: jest.fn().mockImplementation((claims) => claims.role === 'admin')
+}));
+
+jest.mock('./revocations', () => ({
+  revokeToken: jest.fn().mockResolvedValue(),
+  revokeUserTokens: jest.fn().mockResolvedValue(),
+  isTokenRevoked: jest.fn().mockResolvedValue(false)
+}));
+
+// Connection handed out by the mocked MySQL pools, for tests of the real database module
+const mockDbConnection = {
+  query: jest.fn().mockResolvedValue([[]]),
+  execute: jest.fn().mockResolvedValue([[]]),
+  beginTransaction: jest.fn().mockResolvedValue(),
+  commit: jest.fn().mockResolvedValue(),
+  rollback: jest.fn().mockResolvedValue(),
+  release: jest.fn()
+};
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    getConnection: jest.fn().mockResolvedValue(mockDbConnection)
+  }))
 }));
 
 jest.mock('./database', () => ({
-  getLocationsForUser: jest.fn().mockResolvedValue([])
+  getLocationsForUser: jest.fn().mockResolvedValue([]),
+  addUserLocation: jest.fn().mockResolvedValue(),
+  removeUserLocation: jest.fn().mockResolvedValue(true),
+  updateLocationOrder: jest.fn().mockResolvedValue(),
+  getUserUnits: jest.fn().mockResolvedValue(null),
+  setUserUnits: jest.fn().mockResolvedValue(),
+  getLocationWeather: jest.fn().mockResolvedValue(null),
+  updateWeatherCache: jest.fn().mockResolvedValue(),
+  getForecastForLocation: jest.fn().mockResolvedValue({ hourly: [], daily: [] }),
+  updateForecastCache: jest.fn().mockResolvedValue(),
+  storeWeatherAlert: jest.fn().mockResolvedValue(true),
+  getUsersForLocation: jest.fn().mockResolvedValue([])
 }));
 
 jest.mock('./dataProcessor', () => ({
-  processWeatherData: jest.fn().mockResolvedValue([])
+  processWeatherData: jest.fn().mockResolvedValue([]),
+  DEFAULT_UNITS: 'imperial'
+}));
+
+jest.mock('./alerts', () => ({
+  ingestAlertFeed: jest.fn().mockResolvedValue({ received: 0, stored: 0, pushed: 0 })
+}));
+
+jest.mock('./tokenExpiry', () => ({
+  sendTokenExpiringWarnings: jest.fn().mockResolvedValue({ expiring: 1, warned: 1 })
+}));
+
+jest.mock('./weatherRefresh', () => ({
+  refreshLocations: jest.fn().mockResolvedValue({ rowsByLocation: new Map(), failed: 0, alertsPushed: 0 }),
+  loadForecasts: jest.fn().mockResolvedValue([]),
+  refreshSubscribedLocations: jest.fn().mockResolvedValue({
+    connections: 2,
+    locations: 1,
+    refreshed: 1,
+    failed: 0,
+    messagesSent: 2
+  })
 }));
 
 
@@ -196,6 +287,15 @@ describe('WebSocket Lambda Handler', () => {
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+
+    // Drop one-off token results that a previous test did not consume
+    const mockAuth = require('./auth');
+    mockAuth.verifyToken.mockReset();
+    mockAuth.verifyToken.mockResolvedValue({
+      userId: '123',
+      username: 'testuser',
+      name: 'Test User'
+    });
     
     // Set up required environment variables
     process.env.LD_SDK_KEY = 'mock-sdk-key';
@@ -243,8 +343,8 @@ describe('WebSocket Lambda Handler', () => {
         name: 'Test User'
       };
       
-      const mockWebsocket = require('./websocket');
-      mockWebsocket.verifyToken.mockReturnValueOnce(mockDecodedToken);
+      const mockAuth = require('./auth');
+      mockAuth.verifyToken.mockResolvedValueOnce(mockDecodedToken);
 
       await handler({
         ...mockEvent,
@@ -305,10 +405,8 @@ describe('WebSocket Lambda Handler', () => {
     });
 
     it('should use anonymous user context when token verification fails', async () => {
-      const mockWebsocket = require('./websocket');
-      mockWebsocket.verifyToken.mockImplementationOnce(() => {
-        throw new Error('Invalid token');
-      });
+      const mockAuth = require('./auth');
+      mockAuth.verifyToken.mockRejectedValueOnce(new Error('Invalid token'));
 
       await handler({
         ...mockEvent,
@@ -340,12 +438,11 @@ describe('WebSocket Lambda Handler', () => {
       expect(mockLDClient.on).toHaveBeenCalledWith('change', expect.any(Function));
     });
 
-    it('should properly clean up resources', async () => {
+    it('should flush events and keep the client open for the next invocation', async () => {
       await handler(mockEvent);
 
-      // Verify both logger and client were closed
-      expect(logger.close).toHaveBeenCalled();
-      expect(mockLDClient.close).toHaveBeenCalled();
+      expect(mockLDClient.flush).toHaveBeenCalled();
+      expect(mockLDClient.close).not.toHaveBeenCalled();
     });
 
     it('should log at different levels based on context', async () => {
@@ -419,10 +516,8 @@ describe('WebSocket Lambda Handler', () => {
       });
 
       // Mock verifyToken to throw an error
-      const mockWebsocket = require('./websocket');
-      mockWebsocket.verifyToken.mockImplementationOnce(() => {
-        throw new Error('Invalid token');
-      });
+      const mockAuth = require('./auth');
+      mockAuth.verifyToken.mockRejectedValueOnce(new Error('Invalid token'));
 
       // Create event with missing token and userId
       const eventWithMissingParams = {
@@ -460,7 +555,8 @@ describe('WebSocket Lambda Handler', () => {
       // Verify warning was logged
       expect(logger.warn).toHaveBeenCalledWith("Missing token or userId", {
         hasToken: false,
-        hasUserId: false
+        hasUserId: false,
+        requestId: expect.any(String)
       });
     });
 
@@ -468,16 +564,2229 @@ describe('WebSocket Lambda Handler', () => {
       // Mock initialization failure
       mockInitializeLDClient.mockRejectedValueOnce(new Error('Init failed'));
       
-      try {
-        await handler(mockEvent);
-      } catch (error) {
-        expect(error.message).toBe('Init failed');
-      }
+      // The event is still handled, with default flag values
+      const response = await handler(mockEvent);
+      expect(response.statusCode).toBe(200);
 
       // Verify error was logged
       expect(logger.error).toHaveBeenCalledWith('LaunchDarkly initialization failed:', {
-        error: 'Init failed'
+        error: 'Init failed',
+        requestId: expect.any(String)
+      });
+    });
+  });
+
+  describe('Favorite location actions', () => {
+    const actionEvent = (body) => ({
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey: '$default'
+      },
+      body: JSON.stringify({ token: 'valid-token', ...body })
+    });
+
+    it('should add a location and send refreshed weather', async () => {
+      const database = require('./database');
+      const mockWebsocket = require('./websocket');
+
+      const response = await handler(actionEvent({ action: 'addLocation', locationId: 42 }));
+
+      expect(response.statusCode).toBe(200);
+      expect(database.addUserLocation).toHaveBeenCalledWith('123', { locationId: 42 });
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'weatherUpdate' })
+      );
+    });
+
+    it('should reply with LOCATION_EXISTS when the location is already a favorite', async () => {
+      const database = require('./database');
+      const mockWebsocket = require('./websocket');
+      const duplicateError = new Error('Location already exists for user');
+      duplicateError.code = 'LOCATION_EXISTS';
+      database.addUserLocation.mockRejectedValueOnce(duplicateError);
+
+      const response = await handler(actionEvent({ action: 'addLocation', locationId: 42 }));
+
+      expect(response.statusCode).toBe(409);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'error', code: 'LOCATION_EXISTS' })
+      );
+    });
+
+    it('should remove a location and stop watching it on the connection', async () => {
+      const database = require('./database');
+      const mockWebsocket = require('./websocket');
+
+      const response = await handler(actionEvent({ action: 'removeLocation', locationId: 42 }));
+
+      expect(response.statusCode).toBe(200);
+      expect(database.removeUserLocation).toHaveBeenCalledWith('123', 42);
+      expect(mockWebsocket.removeConnectionLocations).toHaveBeenCalledWith('test-connection-id', [42]);
+    });
+
+    it('should reply with LOCATION_NOT_FOUND when the location is not a favorite', async () => {
+      const database = require('./database');
+      const mockWebsocket = require('./websocket');
+      database.removeUserLocation.mockResolvedValueOnce(false);
+
+      const response = await handler(actionEvent({ action: 'removeLocation', locationId: 42 }));
+
+      expect(response.statusCode).toBe(404);
+      expect(mockWebsocket.removeConnectionLocations).not.toHaveBeenCalled();
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'error', code: 'LOCATION_NOT_FOUND', field: 'locationId' })
+      );
+    });
+
+    it('should reorder locations by their position in the list', async () => {
+      const database = require('./database');
+
+      const response = await handler(actionEvent({ action: 'reorderLocations', locationIds: [7, 3] }));
+
+      expect(response.statusCode).toBe(200);
+      expect(database.updateLocationOrder).toHaveBeenCalledWith('123', [
+        { locationId: 7, order: 0 },
+        { locationId: 3, order: 1 }
+      ]);
+    });
+  });
+
+  describe('Forecasts', () => {
+    const actionEvent = (body) => ({
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey: '$default'
+      },
+      body: JSON.stringify({ token: 'valid-token', ...body })
+    });
+
+    it('should send a forecastUpdate for a favorite location', async () => {
+      const database = require('./database');
+      const mockWebsocket = require('./websocket');
+      const { loadForecasts } = require('./weatherRefresh');
+      database.getLocationsForUser.mockResolvedValueOnce([
+        { location_id: 42, name: 'Boston' },
+        { location_id: 7, name: 'Denver' }
+      ]);
+
+      const response = await handler(actionEvent({ action: 'getForecast', locationId: 42 }));
+
+      expect(response.statusCode).toBe(200);
+      expect(loadForecasts).toHaveBeenCalledWith([{ location_id: 42, name: 'Boston' }]);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'forecastUpdate' })
+      );
+    });
+  });
+
+  describe('Resync', () => {
+    const actionEvent = (body) => ({
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey: '$default'
+      },
+      body: JSON.stringify({ token: 'valid-token', ...body })
+    });
+
+    it('should send a sequenced full snapshot on resync', async () => {
+      const mockWebsocket = require('./websocket');
+      mockWebsocket.recordConnectionSnapshot.mockResolvedValueOnce(8);
+
+      const response = await handler(actionEvent({ action: 'resync', lastSequence: 5 }));
+
+      expect(response.statusCode).toBe(200);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'weatherUpdate', sequence: 8 })
+      );
+    });
+  });
+
+  describe('Scheduled weather refresh', () => {
+    it('should refresh subscribed locations and report a summary', async () => {
+      const { refreshSubscribedLocations } = require('./weatherRefresh');
+      const { ingestAlertFeed } = require('./alerts');
+
+      const response = await scheduledHandler({ source: 'aws.events' });
+
+      expect(refreshSubscribedLocations).toHaveBeenCalled();
+      expect(ingestAlertFeed).toHaveBeenCalled();
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body)).toEqual(expect.objectContaining({
+        refreshed: 1,
+        messagesSent: 2,
+        tokenWarnings: { expiring: 1, warned: 1 }
+      }));
+      expect(mockCleanup).toHaveBeenCalledWith(mockLDClient);
+    });
+
+    describe('refreshSubscribedLocations', () => {
+      const axios = require('axios');
+      const mockWebsocket = require('./websocket');
+      const database = require('./database');
+      const { processWeatherData } = require('./dataProcessor');
+      const { refreshSubscribedLocations } = jest.requireActual('./weatherRefresh');
+      let actualWebsocket;
+
+      const locations = {
+        1: { location_id: 1, name: 'Boston', latitude: 42.36, longitude: -71.06 },
+        2: { location_id: 2, name: 'Denver', latitude: 39.74, longitude: -104.99 }
+      };
+      const providerTemperatures = { '42.36,-71.06': 30, '39.74,-104.99': 55 };
+
+      beforeAll(() => {
+        process.env.WEBSOCKET_API_ENDPOINT = 'https://gateway.test/dev';
+        process.env.WEATHER_API_KEY = 'test-weather-key';
+        actualWebsocket = jest.requireActual('./websocket');
+      });
+
+      afterAll(() => {
+        delete process.env.WEBSOCKET_API_ENDPOINT;
+        delete process.env.WEATHER_API_KEY;
+      });
+
+      beforeEach(() => {
+        mockWebsocket.getSubscribedConnections.mockResolvedValue([
+          { connectionId: 'conn-boston', userId: '123', locationIds: new Set(['1']) },
+          { connectionId: 'conn-denver', userId: '456', locationIds: new Set(['2']) }
+        ]);
+
+        // Cached rows reflect what the refresh last stored
+        const cache = new Map();
+        mockWebsocket.getConnectionLocationIds.mockImplementation(actualWebsocket.getConnectionLocationIds);
+        database.updateWeatherCache.mockImplementation(async (row) => cache.set(String(row.location_id), row));
+        database.getLocationWeather.mockImplementation(async (id) => ({
+          ...locations[id],
+          temperature: cache.get(String(id))?.temp_f,
+          last_updated: cache.get(String(id))?.last_updated
+        }));
+        processWeatherData.mockImplementation(jest.requireActual('./dataProcessor').processWeatherData);
+        jest.spyOn(axios, 'get').mockImplementation(async (url, { params }) => ({
+          data: {
+            current: { temp_f: providerTemperatures[params.q], condition: { text: 'Clear' }, last_updated: '2024-01-27 10:15' },
+            forecast: { forecastday: [] },
+            alerts: { alert: [] }
+          }
+        }));
+        mockWebsocket.sendMessageToClient.mockClear().mockResolvedValue(true);
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+        mockWebsocket.sendMessageToClient.mockReset().mockResolvedValue();
+        mockWebsocket.getSubscribedConnections.mockReset().mockResolvedValue([]);
+        mockWebsocket.getConnectionLocationIds.mockReset().mockReturnValue([]);
+        database.updateWeatherCache.mockReset().mockResolvedValue();
+        database.getLocationWeather.mockReset().mockResolvedValue(null);
+        processWeatherData.mockReset().mockResolvedValue([]);
+      });
+
+      it('should send each connection the refreshed weather of only the locations it watches', async () => {
+        const summary = await refreshSubscribedLocations();
+
+        expect(summary).toEqual(expect.objectContaining({
+          connections: 2,
+          locations: 2,
+          refreshed: 2,
+          failed: 0,
+          messagesSent: 2
+        }));
+
+        const sent = Object.fromEntries(mockWebsocket.sendMessageToClient.mock.calls.map(
+          ([connectionId, message]) => [connectionId, message]
+        ));
+        expect(Object.keys(sent).sort()).toEqual(['conn-boston', 'conn-denver']);
+        expect(sent['conn-boston'].data).toEqual([
+          expect.objectContaining({ id: 1, name: 'Boston', weather: expect.objectContaining({ temperature: 30 }) })
+        ]);
+        expect(sent['conn-denver'].data).toEqual([
+          expect.objectContaining({ id: 2, name: 'Denver', weather: expect.objectContaining({ temperature: 55 }) })
+        ]);
+      });
+    });
+  });
+
+  describe('Inbound message validation', () => {
+    const messageEvent = (body, routeKey = '$default') => ({
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey,
+        requestId: 'gateway-request-id'
+      },
+      body
+    });
+
+    it('should reject malformed JSON with INVALID_JSON', async () => {
+      const mockWebsocket = require('./websocket');
+
+      const response = await handler(messageEvent('{not json'));
+
+      expect(response.statusCode).toBe(400);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({
+          type: 'error',
+          code: 'INVALID_JSON',
+          requestId: 'gateway-request-id'
+        })
+      );
+    });
+
+    it('should name the missing field', async () => {
+      const mockWebsocket = require('./websocket');
+
+      const response = await handler(messageEvent(JSON.stringify({
+        action: 'subscribe',
+        token: 'valid-token'
+      })));
+
+      expect(response.statusCode).toBe(400);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ code: 'MISSING_FIELD', field: 'locationIds' })
+      );
+      expect(mockWebsocket.addConnectionLocations).not.toHaveBeenCalled();
+    });
+
+    it('should require a token on named routes', async () => {
+      const mockWebsocket = require('./websocket');
+
+      const response = await handler(messageEvent(JSON.stringify({ locations: [] }), 'getWeather'));
+
+      expect(response.statusCode).toBe(401);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ code: 'NO_TOKEN', field: 'token' })
+      );
+    });
+
+    it('should reject unknown actions with UNKNOWN_ACTION', async () => {
+      const mockWebsocket = require('./websocket');
+
+      const response = await handler(messageEvent(JSON.stringify({
+        action: 'launchRocket',
+        token: 'valid-token'
+      })));
+
+      expect(response.statusCode).toBe(400);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ code: 'UNKNOWN_ACTION', field: 'action' })
+      );
+    });
+
+    it('should dispatch named route actions sent on $default to their route', async () => {
+      const { getLocationsForUser } = require('./database');
+      const { processWeatherData } = require('./dataProcessor');
+      getLocationsForUser.mockResolvedValueOnce([
+        { location_id: 42, name: 'Boston' },
+        { location_id: 7, name: 'Denver' }
+      ]);
+
+      const response = await handler(messageEvent(JSON.stringify({
+        action: 'getWeather',
+        token: 'valid-token',
+        locations: [7]
+      })));
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).message).toBe('Weather data sent successfully');
+      expect(processWeatherData).toHaveBeenCalledWith(
+        [{ location_id: 7, name: 'Denver' }],
+        expect.anything()
+      );
+    });
+
+    it('should match requested location IDs sent as strings against numeric IDs', async () => {
+      const { getLocationsForUser } = require('./database');
+      const { processWeatherData } = require('./dataProcessor');
+      getLocationsForUser.mockResolvedValueOnce([
+        { location_id: 42, name: 'Boston' },
+        { location_id: 7, name: 'Denver' }
+      ]);
+
+      const response = await handler(messageEvent(JSON.stringify({
+        token: 'valid-token',
+        locations: ['42']
+      }), 'getWeather'));
+
+      expect(response.statusCode).toBe(200);
+      expect(processWeatherData).toHaveBeenCalledWith(
+        [{ location_id: 42, name: 'Boston' }],
+        expect.anything()
+      );
+    });
+  });
+
+  describe('Request correlation', () => {
+    it('should echo the client requestId on replies and in logs', async () => {
+      const mockWebsocket = require('./websocket');
+
+      await handler({
+        requestContext: {
+          connectionId: 'test-connection-id',
+          routeKey: '$default',
+          requestId: 'gateway-request-id'
+        },
+        body: JSON.stringify({ action: 'subscribe', token: 'valid-token', requestId: 'client-42' })
+      });
+
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'error', requestId: 'client-42' })
+      );
+      expect(logger.info).toHaveBeenCalledWith(
+        'Received WebSocket Event',
+        expect.objectContaining({ requestId: 'client-42' })
+      );
+    });
+
+    it('should generate a requestId when the client does not send one', async () => {
+      await handler(mockEvent);
+
+      expect(logger.info).toHaveBeenCalledWith(
+        'Received WebSocket Event',
+        expect.objectContaining({ requestId: expect.any(String) })
+      );
+    });
+  });
+
+  describe('Location subscriptions', () => {
+    const actionEvent = (body) => ({
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey: '$default'
+      },
+      body: JSON.stringify({ token: 'valid-token', ...body })
+    });
+
+    beforeEach(() => {
+      require('./database').getLocationsForUser.mockResolvedValueOnce([
+        { location_id: 42, name: 'Boston' },
+        { location_id: 7, name: 'Denver' }
+      ]);
+    });
+
+    it('should add several favorite locations to the connection', async () => {
+      const mockWebsocket = require('./websocket');
+
+      const response = await handler(actionEvent({ action: 'subscribe', locationIds: [42, '7'] }));
+
+      expect(response.statusCode).toBe(200);
+      expect(mockWebsocket.addConnectionLocations).toHaveBeenCalledWith(
+        'test-connection-id', ['42', '7']
+      );
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'subscriptions', locationIds: ['42', '7'] })
+      );
+    });
+
+    it('should reject locations that are not favorites', async () => {
+      const mockWebsocket = require('./websocket');
+
+      const response = await handler(actionEvent({ action: 'subscribe', locationId: 99 }));
+
+      expect(response.statusCode).toBe(404);
+      expect(mockWebsocket.addConnectionLocations).not.toHaveBeenCalled();
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ code: 'LOCATION_NOT_FOUND' })
+      );
+    });
+
+    it('should remove only the requested locations', async () => {
+      const mockWebsocket = require('./websocket');
+
+      await handler(actionEvent({ action: 'unsubscribe', locationId: 42 }));
+
+      expect(mockWebsocket.removeConnectionLocations).toHaveBeenCalledWith(
+        'test-connection-id', ['42']
+      );
+      expect(mockWebsocket.clearConnectionLocations).not.toHaveBeenCalled();
+    });
+
+    it('should clear all subscriptions when no location is given', async () => {
+      const mockWebsocket = require('./websocket');
+
+      await handler(actionEvent({ action: 'unsubscribe' }));
+
+      expect(mockWebsocket.clearConnectionLocations).toHaveBeenCalledWith('test-connection-id');
+    });
+  });
+
+  describe('Unit preferences', () => {
+    const actionEvent = (body) => ({
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey: '$default'
+      },
+      body: JSON.stringify({ token: 'valid-token', ...body })
+    });
+
+    it('should override units on the connection and resend weather in those units', async () => {
+      const mockWebsocket = require('./websocket');
+      const database = require('./database');
+      const { processWeatherData } = require('./dataProcessor');
+      mockWebsocket.getConnection.mockResolvedValueOnce({ connectionId: 'test-connection-id', units: 'metric' });
+
+      const response = await handler(actionEvent({ action: 'setUnits', units: 'metric' }));
+
+      expect(response.statusCode).toBe(200);
+      expect(mockWebsocket.setConnectionUnits).toHaveBeenCalledWith('test-connection-id', 'metric');
+      expect(database.setUserUnits).not.toHaveBeenCalled();
+      expect(processWeatherData).toHaveBeenCalledWith(expect.any(Array), { units: 'metric' });
+    });
+
+    it('should save the units as the user preference when persist is set', async () => {
+      const database = require('./database');
+
+      await handler(actionEvent({ action: 'setUnits', units: 'metric', persist: true }));
+
+      expect(database.setUserUnits).toHaveBeenCalledWith('123', 'metric');
+    });
+
+    it('should fall back to the saved preference for new connections', async () => {
+      const database = require('./database');
+      const { processWeatherData } = require('./dataProcessor');
+      database.getLocationsForUser.mockResolvedValueOnce([{ location_id: 42, name: 'Boston' }]);
+      database.getUserUnits.mockResolvedValueOnce('metric');
+
+      await handler({
+        requestContext: {
+          connectionId: 'test-connection-id',
+          routeKey: '$connect'
+        },
+        queryStringParameters: {
+          token: 'valid-token',
+          userId: '123'
+        }
+      });
+
+      expect(processWeatherData).toHaveBeenCalledWith(expect.any(Array), { units: 'metric' });
+    });
+
+    it('should reject unknown unit systems', async () => {
+      const mockWebsocket = require('./websocket');
+
+      const response = await handler(actionEvent({ action: 'setUnits', units: 'kelvin' }));
+
+      expect(response.statusCode).toBe(400);
+      expect(mockWebsocket.setConnectionUnits).not.toHaveBeenCalled();
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ code: 'INVALID_FIELD', field: 'units' })
+      );
+    });
+
+    it('should convert cached Fahrenheit temperatures for metric output', async () => {
+      const { processWeatherData } = jest.requireActual('./dataProcessor');
+      // Shape of a getLocationsForUser row; weather_cache has no Celsius columns
+      const cachedRow = {
+        location_id: 42,
+        name: 'Boston',
+        temperature: 68,
+        feels_like: 30.5,
+        wind_speed: 10,
+        condition: 'Sunny',
+        humidity: 40,
+        last_updated: null,
+        details: { wind_kph: 16.1, gust_kph: 25.2, pressure_mb: 1013, pressure_in: 29.91, precip_mm: 0, vis_km: 16 }
+      };
+
+      const [metric] = await processWeatherData([cachedRow], { units: 'metric' });
+      const [imperial] = await processWeatherData([cachedRow], { units: 'imperial' });
+
+      expect(metric.units.temperature).toBe('C');
+      expect(metric.weather).toEqual(expect.objectContaining({
+        temperature: 20,
+        feelsLike: -0.8,
+        windSpeed: 16.1,
+        pressure: 1013
+      }));
+      expect(imperial.weather).toEqual(expect.objectContaining({ temperature: 68, feelsLike: 30.5, windSpeed: 10 }));
+    });
+  });
+
+  describe('Token verification', () => {
+    const crypto = require('crypto');
+    const fs = require('fs/promises');
+    const jwt = require('jsonwebtoken');
+    let verifyToken;
+    let signingKeys;
+    let jwks;
+
+    const toJwk = (kid, { publicKey }) => ({ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' });
+    const sign = (kid, claims = {}, options = {}) => jwt.sign(
+      { userId: 123, username: 'testuser', ...claims },
+      signingKeys[kid].privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: 'https://auth.test',
+        audience: 'weather-app',
+        ...(claims.exp === undefined && { expiresIn: 3600 }),
+        ...options
+      }
+    );
+    const jwksReads = () => fs.readFile.mock.calls.length;
+
+    beforeAll(() => {
+      signingKeys = {
+        'key-1': crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+        'key-2': crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+      };
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2024-01-27T12:00:00Z') });
+      jwks = { keys: [toJwk('key-1', signingKeys['key-1'])] };
+      jest.spyOn(fs, 'readFile').mockImplementation(async () => JSON.stringify(jwks));
+
+      // Each test starts with an empty JWKS cache
+      jest.isolateModules(() => {
+        ({ verifyToken } = jest.requireActual('./auth'));
       });
     });
+
+    afterEach(() => {
+      delete process.env.JWT_SECRET;
+      jest.restoreAllMocks();
+      jest.useRealTimers();
+    });
+
+    it('should verify an RS256 token signed with a key from the JWKS file', async () => {
+      const claims = await verifyToken(sign('key-1'));
+
+      expect(claims).toEqual(expect.objectContaining({ userId: '123', username: 'testuser' }));
+      expect(fs.readFile).toHaveBeenCalledWith('/keys/jwks.json', 'utf8');
+    });
+
+    it('should reload the JWKS once for an unknown kid and throttle further reloads', async () => {
+      await verifyToken(sign('key-1'));
+      expect(jwksReads()).toBe(1);
+
+      // The key is rotated after the first load
+      jest.advanceTimersByTime(31 * 1000);
+      jwks = { keys: [toJwk('key-1', signingKeys['key-1']), toJwk('key-2', signingKeys['key-2'])] };
+      await expect(verifyToken(sign('key-2'))).resolves.toEqual(expect.objectContaining({ userId: '123' }));
+      expect(jwksReads()).toBe(2);
+
+      const unknownKidToken = sign('key-1', {}, { keyid: 'key-3' });
+      await expect(verifyToken(unknownKidToken)).rejects.toThrow('Unknown signing key');
+      await expect(verifyToken(unknownKidToken)).rejects.toThrow('Unknown signing key');
+      expect(jwksReads()).toBe(2);
+
+      jest.advanceTimersByTime(31 * 1000);
+      await expect(verifyToken(unknownKidToken)).rejects.toThrow('Unknown signing key');
+      expect(jwksReads()).toBe(3);
+    });
+
+    it('should reject a token for another issuer or audience', async () => {
+      await expect(verifyToken(sign('key-1', {}, { issuer: 'https://evil.test' })))
+        .rejects.toThrow('Invalid token issuer');
+      await expect(verifyToken(sign('key-1', {}, { audience: 'another-app' })))
+        .rejects.toThrow('Invalid token audience');
+    });
+
+    it('should reject an HS256 token when only RS256 is allowed', async () => {
+      process.env.JWT_SECRET = 'shared-secret';
+      const token = jwt.sign({ userId: 123, username: 'testuser' }, 'shared-secret', {
+        algorithm: 'HS256', issuer: 'https://auth.test', audience: 'weather-app'
+      });
+
+      await expect(verifyToken(token)).rejects.toThrow('Invalid token signature');
+    });
+
+    it('should accept a token that expired within the clock tolerance only', async () => {
+      const now = Math.floor(Date.now() / 1000);
+
+      await expect(verifyToken(sign('key-1', { exp: now - 10 })))
+        .resolves.toEqual(expect.objectContaining({ userId: '123' }));
+      await expect(verifyToken(sign('key-1', { exp: now - 60 })))
+        .rejects.toThrow('Token has expired');
+    });
+  });
+
+  describe('Reauthentication', () => {
+    const reauthEvent = {
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey: '$default'
+      },
+      body: JSON.stringify({ action: 'reauthenticate', token: 'fresh-token' })
+    };
+
+    it('should accept a fresh token for the same user and update the auth expiry', async () => {
+      const mockWebsocket = require('./websocket');
+      const exp = Math.floor(Date.now() / 1000) + 3600;
+      require('./auth').verifyToken.mockResolvedValueOnce({ userId: '123', username: 'testuser', exp });
+      mockWebsocket.getConnection.mockResolvedValueOnce({ connectionId: 'test-connection-id', userId: '123' });
+
+      const response = await handler(reauthEvent);
+
+      expect(response.statusCode).toBe(200);
+      expect(mockWebsocket.updateConnectionAuth).toHaveBeenCalledWith('test-connection-id', exp);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'reauthenticated', expiresAt: new Date(exp * 1000).toISOString() })
+      );
+    });
+
+    it('should reject a token for a different user', async () => {
+      const mockWebsocket = require('./websocket');
+      require('./auth').verifyToken.mockResolvedValueOnce({ userId: '456', username: 'otheruser', exp: 1 });
+      mockWebsocket.getConnection.mockResolvedValueOnce({ connectionId: 'test-connection-id', userId: '123' });
+
+      const response = await handler(reauthEvent);
+
+      expect(response.statusCode).toBe(403);
+      expect(mockWebsocket.updateConnectionAuth).not.toHaveBeenCalled();
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'error', code: 'USER_MISMATCH' })
+      );
+    });
+  });
+
+  describe('Token revocation', () => {
+    const logoutEvent = (body = {}) => ({
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey: '$default'
+      },
+      body: JSON.stringify({ action: 'logout', token: 'valid-token', ...body })
+    });
+
+    it('should revoke every token of the user and close all of their connections on logout', async () => {
+      const revocations = require('./revocations');
+      const mockWebsocket = require('./websocket');
+      const claims = { userId: '123', username: 'testuser', jti: 'token-id', iat: 1700000000, exp: 1700003600 };
+      require('./auth').verifyToken.mockResolvedValueOnce(claims);
+
+      const response = await handler(logoutEvent());
+
+      expect(response.statusCode).toBe(200);
+      expect(revocations.revokeToken).toHaveBeenCalledWith(claims);
+      expect(revocations.revokeUserTokens).toHaveBeenCalledWith(claims);
+      expect(mockWebsocket.cleanupUserConnections).toHaveBeenCalledWith('123');
+    });
+
+    it('should revoke only the current token and connection with currentSessionOnly', async () => {
+      const revocations = require('./revocations');
+      const mockWebsocket = require('./websocket');
+      const claims = { userId: '123', username: 'testuser', jti: 'token-id', iat: 1700000000, exp: 1700003600 };
+      require('./auth').verifyToken.mockResolvedValueOnce(claims);
+
+      const response = await handler(logoutEvent({ currentSessionOnly: true }));
+
+      expect(response.statusCode).toBe(200);
+      expect(revocations.revokeToken).toHaveBeenCalledWith(claims);
+      expect(revocations.revokeUserTokens).not.toHaveBeenCalled();
+      expect(mockWebsocket.removeConnection).toHaveBeenCalledWith('test-connection-id');
+      expect(mockWebsocket.cleanupUserConnections).not.toHaveBeenCalled();
+    });
+
+    it('should reject a non-boolean currentSessionOnly', async () => {
+      const response = await handler(logoutEvent({ currentSessionOnly: 'yes' }));
+
+      expect(response.statusCode).toBe(400);
+      expect(require('./revocations').revokeToken).not.toHaveBeenCalled();
+    });
+
+    it('should give every generated token its own jti', () => {
+      const jwt = require('jsonwebtoken');
+      const { generateToken } = jest.requireActual('./auth');
+
+      const first = jwt.decode(generateToken({ userId: 123, username: 'testuser' }));
+      const second = jwt.decode(generateToken({ userId: 123, username: 'testuser' }));
+
+      expect(first.jti).toEqual(expect.any(String));
+      expect(first.jti).not.toBe(second.jti);
+    });
+
+    it('should refuse to connect with a revoked token', async () => {
+      require('./auth').verifyToken.mockRejectedValueOnce(new Error('Token has been revoked'));
+
+      const response = await handler({
+        requestContext: {
+          connectionId: 'test-connection-id',
+          routeKey: '$connect'
+        },
+        queryStringParameters: {
+          token: 'revoked-token',
+          userId: '123'
+        }
+      });
+
+      expect(response.statusCode).toBe(401);
+      expect(JSON.parse(response.body).message).toBe('Token has been revoked. Please log in again.');
+      expect(require('./websocket').storeConnection).not.toHaveBeenCalled();
+    });
+
+    it('should verify the $connect token once and target flags with its claims', async () => {
+      const { verifyToken } = require('./auth');
+
+      const response = await handler(mockEvent);
+
+      expect(response.statusCode).toBe(200);
+      expect(verifyToken).toHaveBeenCalledTimes(1);
+      expect(mockInitializeLogger).toHaveBeenCalledWith(mockLDClient, expect.objectContaining({ userId: '123' }));
+    });
+
+    describe('revocation checks', () => {
+      const { DynamoDBDocumentClient, PutCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+      const { revokeToken, revokeUserTokens, isTokenRevoked } = jest.requireActual('./revocations');
+      const now = Math.floor(Date.now() / 1000);
+      const claims = { userId: '123', jti: 'token-id', iat: now - 600, exp: now + 3000 };
+
+      const storeEntries = (entries) => jest.spyOn(DynamoDBDocumentClient.prototype, 'send')
+        .mockResolvedValue({ Responses: { 'test-revocations-table': entries } });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should find a token revoked by its jti', async () => {
+        const send = storeEntries([{ revocationKey: 'jti#token-id', ttl: now + 3000 }]);
+
+        expect(await isTokenRevoked(claims)).toBe(true);
+        expect(send.mock.calls[0][0].input.RequestItems['test-revocations-table'].Keys).toEqual([
+          { revocationKey: 'user#123' },
+          { revocationKey: 'jti#token-id' }
+        ]);
+      });
+
+      it('should find tokens issued before a user-wide revocation only', async () => {
+        storeEntries([{ revocationKey: 'user#123', revokedBefore: now - 60, ttl: now + 3000 }]);
+
+        expect(await isTokenRevoked(claims)).toBe(true);
+        expect(await isTokenRevoked({ ...claims, jti: 'newer-token', iat: now })).toBe(false);
+      });
+
+      it('should revoke a token by its jti', async () => {
+        const send = jest.spyOn(DynamoDBDocumentClient.prototype, 'send').mockResolvedValue({});
+
+        await revokeToken(claims);
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send.mock.calls[0][0]).toBeInstanceOf(PutCommand);
+        expect(send.mock.calls[0][0].input.Item).toEqual(expect.objectContaining({
+          revocationKey: 'jti#token-id',
+          ttl: claims.exp
+        }));
+      });
+
+      it('should revoke all of the user\'s tokens when the token has no jti', async () => {
+        const send = jest.spyOn(DynamoDBDocumentClient.prototype, 'send').mockResolvedValue({});
+
+        await revokeToken({ ...claims, jti: undefined });
+
+        expect(send.mock.calls.length).toBeGreaterThan(0);
+        send.mock.calls.forEach(([command]) => {
+          expect(command).toBeInstanceOf(UpdateCommand);
+          expect(command.input.Key).toEqual({ revocationKey: 'user#123' });
+        });
+      });
+
+      it('should keep a user-wide revocation for the longest token lifetime', async () => {
+        const send = jest.spyOn(DynamoDBDocumentClient.prototype, 'send').mockResolvedValue({});
+
+        // The logout token expires in 5 minutes; older tokens may live for a day
+        await revokeUserTokens({ ...claims, exp: now + 300 });
+
+        const { ExpressionAttributeValues } = send.mock.calls[0][0].input;
+        expect(ExpressionAttributeValues[':now']).toBeGreaterThanOrEqual(now);
+        expect(ExpressionAttributeValues[':ttl']).toBeGreaterThanOrEqual(now + 86400);
+      });
+
+      it('should ignore entries past their ttl', async () => {
+        storeEntries([
+          { revocationKey: 'jti#token-id', ttl: now - 10 },
+          { revocationKey: 'user#123', revokedBefore: now - 60, ttl: now - 10 }
+        ]);
+
+        expect(await isTokenRevoked(claims)).toBe(false);
+      });
+    });
+  });
+
+  describe('Announcements', () => {
+    const announceEvent = (body) => ({
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey: '$default'
+      },
+      body: JSON.stringify({ action: 'announce', token: 'admin-token', ...body })
+    });
+
+    const mockConnectionPages = () => {
+      const mockWebsocket = require('./websocket');
+      mockWebsocket.getLiveConnectionsPage
+        .mockResolvedValueOnce({
+          connections: [{ connectionId: 'conn-1' }, { connectionId: 'conn-2' }],
+          nextKey: { connectionId: 'conn-2' }
+        })
+        .mockResolvedValueOnce({
+          connections: [{ connectionId: 'conn-3' }],
+          nextKey: undefined
+        });
+      mockWebsocket.sendMessageToClient.mockImplementation(async (connectionId) => {
+        if (connectionId === 'conn-2') {
+          return false;
+        }
+        if (connectionId === 'conn-3') {
+          throw new Error('Throttled');
+        }
+        return true;
+      });
+      return mockWebsocket;
+    };
+
+    afterEach(() => {
+      require('./websocket').sendMessageToClient.mockReset();
+      require('./websocket').sendMessageToClient.mockResolvedValue();
+    });
+
+    it('should send an announcement to every page of connections and report the results', async () => {
+      require('./auth').verifyToken.mockResolvedValueOnce({ userId: '1', username: 'ops', role: 'admin' });
+      const mockWebsocket = mockConnectionPages();
+
+      const response = await handler(announceEvent({ message: 'Maintenance at 22:00 UTC', severity: 'warning' }));
+
+      expect(response.statusCode).toBe(200);
+      expect(mockWebsocket.getLiveConnectionsPage).toHaveBeenCalledTimes(2);
+      expect(mockWebsocket.getLiveConnectionsPage).toHaveBeenLastCalledWith({ connectionId: 'conn-2' });
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith('conn-1', expect.objectContaining({
+        type: 'announcement',
+        message: 'Maintenance at 22:00 UTC',
+        severity: 'warning',
+        expiresAt: expect.any(String)
+      }));
+      expect(JSON.parse(response.body)).toEqual(expect.objectContaining({
+        connections: 3,
+        sent: 1,
+        gone: 1,
+        failed: 1
+      }));
+    });
+
+    it('should reject announcements from users without the admin role', async () => {
+      const mockWebsocket = require('./websocket');
+
+      const response = await handler(announceEvent({ message: 'Hello' }));
+
+      expect(response.statusCode).toBe(403);
+      expect(mockWebsocket.getLiveConnectionsPage).not.toHaveBeenCalled();
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'error', code: 'FORBIDDEN' })
+      );
+    });
+
+    it('should broadcast from the standalone handler', async () => {
+      mockConnectionPages();
+
+      const response = await announcementHandler({ message: 'Service restored', severity: 'info' });
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body)).toEqual(expect.objectContaining({ sent: 1, gone: 1, failed: 1 }));
+      expect(mockCleanup).toHaveBeenCalledWith(mockLDClient);
+    });
+
+    it('should reject an announcement with a past expiry', async () => {
+      const response = await announcementHandler({ message: 'Old news', expiresAt: '2000-01-01T00:00:00Z' });
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).code).toBe('INVALID_FIELD');
+    });
+  });
+
+  describe('Stale weather', () => {
+    const getWeatherEvent = () => ({
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey: 'getWeather'
+      },
+      body: JSON.stringify({ action: 'getWeather', token: 'valid-token' })
+    });
+
+    const weatherUpdates = (mockWebsocket) => mockWebsocket.sendMessageToClient.mock.calls
+      .filter(([, message]) => message.type === 'weatherUpdate')
+      .map(([, message]) => message);
+
+    it('should flag cached rows older than the freshness window with their age', async () => {
+      const { processWeatherData } = jest.requireActual('./dataProcessor');
+      const now = Date.UTC(2024, 0, 27, 15, 0);
+      const row = { location_id: 42, name: 'Boston', temperature: 30, timezone: 'America/New_York' };
+
+      const [stale, fresh, missing, unparseable] = await processWeatherData([
+        { ...row, last_updated: '2024-01-27 08:30' },
+        { ...row, last_updated: '2024-01-27 09:45' },
+        { ...row, last_updated: null },
+        { ...row, last_updated: 'not a date' }
+      ], { freshnessSeconds: 1800, now });
+
+      // 08:30 in New York (UTC-5) is 13:30 UTC, 90 minutes before now
+      expect(stale).toEqual(expect.objectContaining({ stale: true, ageSeconds: 5400 }));
+      expect(fresh).not.toHaveProperty('stale');
+      expect(fresh).not.toHaveProperty('ageSeconds');
+      // Rows without cached weather are refreshed too; their age is unknown
+      expect(missing).toEqual(expect.objectContaining({ stale: true }));
+      expect(missing).not.toHaveProperty('ageSeconds');
+      expect(unparseable).toEqual(expect.objectContaining({ stale: true }));
+    });
+
+    it('should refresh stale locations and send a second weatherUpdate', async () => {
+      const mockWebsocket = require('./websocket');
+      const { processWeatherData } = require('./dataProcessor');
+      const { refreshLocations } = require('./weatherRefresh');
+      processWeatherData
+        .mockResolvedValueOnce([{ id: 42, name: 'Boston', stale: true, ageSeconds: 5400 }, { id: 7, name: 'Denver' }])
+        .mockResolvedValueOnce([{ id: 42, name: 'Boston' }, { id: 7, name: 'Denver' }]);
+      refreshLocations.mockResolvedValueOnce({
+        rowsByLocation: new Map([['42', { location_id: 42 }]]),
+        failed: 0,
+        alertsPushed: 0
+      });
+
+      const response = await handler(getWeatherEvent());
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).refreshedLocationCount).toBe(1);
+      expect(refreshLocations).toHaveBeenCalledWith([42]);
+
+      const updates = weatherUpdates(mockWebsocket);
+      expect(updates).toHaveLength(2);
+      expect(updates[0].data[0].stale).toBe(true);
+      expect(updates[1].data[0]).not.toHaveProperty('stale');
+    });
+
+    it('should not refresh when every location is fresh', async () => {
+      const { processWeatherData } = require('./dataProcessor');
+      const { refreshLocations } = require('./weatherRefresh');
+      processWeatherData.mockResolvedValueOnce([{ id: 42, name: 'Boston' }]);
+
+      await handler(getWeatherEvent());
+
+      expect(refreshLocations).not.toHaveBeenCalled();
+    });
+
+    it('should keep the first update when the refresh fails', async () => {
+      const mockWebsocket = require('./websocket');
+      const { processWeatherData } = require('./dataProcessor');
+      const { refreshLocations } = require('./weatherRefresh');
+      processWeatherData.mockResolvedValueOnce([{ id: 42, name: 'Boston', stale: true, ageSeconds: 5400 }]);
+      refreshLocations.mockRejectedValueOnce(new Error('Provider unavailable'));
+
+      const response = await handler(getWeatherEvent());
+
+      expect(response.statusCode).toBe(200);
+      expect(weatherUpdates(mockWebsocket)).toHaveLength(1);
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        'Failed to refresh stale locations',
+        expect.objectContaining({ error: 'Provider unavailable' })
+      );
+    });
+  });
+
+  describe('LaunchDarkly client reuse', () => {
+    let launchDarkly;
+    let sdk;
+
+    beforeEach(() => {
+      // Each test starts with a cold container
+      jest.isolateModules(() => {
+        launchDarkly = jest.requireActual('./launchDarkly');
+        sdk = require('@launchdarkly/node-server-sdk');
+      });
+      mockLDClient.variation.mockImplementation((flagKey, context, defaultValue) => Promise.resolve(
+        flagKey === process.env.LD_SDK_LOG_LEVEL_FLAG_KEY ? 'warn' : defaultValue
+      ));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockLDClient.waitForInitialization.mockResolvedValue();
+      mockLDClient.flush.mockResolvedValue();
+    });
+
+    it('should initialize the client once per container', async () => {
+      const first = await launchDarkly.initializeLDClient();
+      const second = await launchDarkly.initializeLDClient();
+
+      expect(second).toBe(first);
+      expect(sdk.init).toHaveBeenCalledTimes(1);
+      expect(mockLDClient.waitForInitialization).toHaveBeenCalledTimes(1);
+    });
+
+    it('should apply the SDK log level flag when it changes', async () => {
+      const consoleDebug = jest.spyOn(console, 'debug').mockImplementation(() => {});
+      await launchDarkly.initializeLDClient();
+      const { logger: sdkLogger } = sdk.init.mock.calls[0][1];
+
+      sdkLogger.info('hidden at warn');
+      sdkLogger.warn('shown at warn');
+      expect(consoleDebug).toHaveBeenCalledTimes(1);
+      expect(consoleDebug).toHaveBeenCalledWith('[LaunchDarkly SDK warn] shown at warn');
+
+      mockLDClient.variation.mockResolvedValue('debug');
+      const [, onChange] = mockLDClient.on.mock.calls.find(([eventName]) => eventName === 'change');
+      await onChange({ key: process.env.LD_SDK_LOG_LEVEL_FLAG_KEY, oldValue: 'warn', newValue: 'debug' });
+
+      sdkLogger.debug('shown at debug');
+      expect(consoleDebug).toHaveBeenLastCalledWith('[LaunchDarkly SDK debug] shown at debug');
+      expect(sdk.init).toHaveBeenCalledTimes(1);
+    });
+
+    it('should carry on with flag defaults when LaunchDarkly is unreachable', async () => {
+      mockLDClient.waitForInitialization.mockRejectedValueOnce(new Error('Timeout'));
+
+      const client = await launchDarkly.initializeLDClient();
+
+      expect(client).toBe(mockLDClient);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'LaunchDarkly did not initialize in time, using flag defaults',
+        expect.objectContaining({ error: 'Timeout' })
+      );
+    });
+
+    it('should fall back to an offline client and retry on the next invocation', async () => {
+      sdk.init.mockImplementationOnce(() => {
+        throw new Error('Invalid SDK key');
+      });
+
+      await launchDarkly.initializeLDClient();
+      expect(sdk.init).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({ offline: true }));
+
+      await launchDarkly.initializeLDClient();
+      expect(sdk.init).toHaveBeenCalledTimes(3);
+      expect(sdk.init).toHaveBeenLastCalledWith('mock-sdk-key', expect.not.objectContaining({ offline: true }));
+    });
+
+    it('should flush rather than close the client at the end of an invocation', async () => {
+      const client = await launchDarkly.initializeLDClient();
+      mockLDClient.flush.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(launchDarkly.cleanup(client)).resolves.toBeUndefined();
+      await expect(launchDarkly.cleanup(undefined)).resolves.toBeUndefined();
+
+      expect(mockLDClient.flush).toHaveBeenCalledTimes(1);
+      expect(mockLDClient.close).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Database read cache', () => {
+    const { queries } = require('./queries');
+    const locationRow = (locationId) => ({ location_id: locationId, name: `Location ${locationId}`, temperature: 68 });
+    let database;
+
+    const queryCount = (query) => mockDbConnection.execute.mock.calls.filter(([sql]) => sql === query).length;
+
+    beforeEach(() => {
+      process.env.DB_PRIMARY_HOST = 'primary-host';
+      process.env.DB_READ_REPLICA_HOST = 'replica-host';
+      process.env.DB_USER = 'db-user';
+      process.env.DB_PASSWORD = 'db-password';
+      process.env.DB_NAME = 'weather';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      // Queries resolve at once; fake timers drop the retry timeouts left pending
+      jest.useFakeTimers();
+
+      mockDbConnection.execute.mockImplementation(async (sql) => {
+        if (sql === queries.getUserLocations) {
+          return [[locationRow(1), locationRow(2)]];
+        }
+        if (sql === queries.getLocationWeather) {
+          return [[locationRow(1)]];
+        }
+        return [[]];
+      });
+
+      // Each test gets a module instance with empty caches
+      jest.isolateModules(() => {
+        database = jest.requireActual('./database');
+      });
+    });
+
+    afterEach(() => {
+      ['DB_PRIMARY_HOST', 'DB_READ_REPLICA_HOST', 'DB_USER', 'DB_PASSWORD', 'DB_NAME']
+        .forEach(name => delete process.env[name]);
+      console.log.mockRestore();
+      jest.useRealTimers();
+      mockDbConnection.execute.mockReset();
+      mockDbConnection.execute.mockResolvedValue([[]]);
+    });
+
+    it('should serve repeated reads from the cache and log hit and miss counts', async () => {
+      const first = await database.getLocationsForUser('123');
+      first[0].name = 'Changed by caller';
+      const second = await database.getLocationsForUser('123');
+
+      expect(second.map(location => location.name)).toEqual(['Location 1', 'Location 2']);
+      expect(queryCount(queries.getUserLocations)).toBe(1);
+      expect(console.log).toHaveBeenCalledWith(
+        'Serving user locations from cache:',
+        expect.objectContaining({ cache: expect.objectContaining({ hits: 1, misses: 1 }) })
+      );
+
+      await database.getLocationWeather(1);
+      await database.getLocationWeather(1);
+      expect(queryCount(queries.getLocationWeather)).toBe(1);
+    });
+
+    it('should invalidate a user\'s locations when their favorites change', async () => {
+      await database.getLocationsForUser('123');
+      await database.addUserLocation('123', { locationId: 3 });
+      await database.getLocationsForUser('123');
+      await database.removeUserLocation('123', 3);
+      await database.getLocationsForUser('123');
+      await database.updateLocationOrder('123', [{ locationId: 1, order: 1 }]);
+      await database.getLocationsForUser('123');
+
+      expect(queryCount(queries.getUserLocations)).toBe(4);
+    });
+
+    it('should report whether a removed location was a favorite', async () => {
+      mockDbConnection.execute
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+      expect(await database.removeUserLocation('123', 3)).toBe(true);
+      expect(await database.removeUserLocation('123', 3)).toBe(false);
+    });
+
+    it('should invalidate cached rows that include a location when its weather is updated', async () => {
+      await database.getLocationsForUser('123');
+      await database.getLocationWeather(1);
+
+      await database.updateWeatherCache({ location_id: 2, temp_f: 70 });
+      await database.getLocationsForUser('123');
+      await database.getLocationWeather(1);
+
+      expect(queryCount(queries.getUserLocations)).toBe(2);
+      expect(queryCount(queries.getLocationWeather)).toBe(1);
+
+      await database.updateWeatherCache({ location_id: 1, temp_f: 71 });
+      await database.getLocationWeather(1);
+
+      expect(queryCount(queries.getLocationWeather)).toBe(2);
+    });
+  });
+
+  describe('Forecast queries', () => {
+    const { queries } = require('./queries');
+    const { formatLocalDateTime } = require('./timezones');
+    let database;
+
+    beforeEach(() => {
+      process.env.DB_PRIMARY_HOST = 'primary-host';
+      process.env.DB_READ_REPLICA_HOST = 'replica-host';
+      process.env.DB_USER = 'db-user';
+      process.env.DB_PASSWORD = 'db-password';
+      process.env.DB_NAME = 'weather';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.useFakeTimers({ now: new Date('2024-01-27T16:30:00Z') });
+
+      jest.isolateModules(() => {
+        database = jest.requireActual('./database');
+      });
+    });
+
+    afterEach(() => {
+      ['DB_PRIMARY_HOST', 'DB_READ_REPLICA_HOST', 'DB_USER', 'DB_PASSWORD', 'DB_NAME']
+        .forEach(name => delete process.env[name]);
+      console.log.mockRestore();
+      jest.useRealTimers();
+      mockDbConnection.execute.mockReset();
+      mockDbConnection.execute.mockResolvedValue([[]]);
+    });
+
+    it('should format instants as wall-clock time in a location\'s timezone', () => {
+      const instant = Date.parse('2024-01-27T16:30:00Z');
+
+      expect(formatLocalDateTime(instant, 'Asia/Tokyo')).toBe('2024-01-28 01:30:00');
+      expect(formatLocalDateTime(instant, 'America/New_York')).toBe('2024-01-27 11:30:00');
+      expect(formatLocalDateTime(instant, 'Not/A_Zone')).toBe('2024-01-27 16:30:00');
+      expect(formatLocalDateTime(instant)).toBe('2024-01-27 16:30:00');
+    });
+
+    it('should filter forecasts by the location\'s local time rather than the database clock', async () => {
+      await database.getForecastForLocation(1, 'Asia/Tokyo');
+      await database.getForecastForLocation(2, 'America/New_York');
+
+      expect(mockDbConnection.execute).toHaveBeenCalledWith(queries.getHourlyForecast, [1, '2024-01-28 00:30:00']);
+      expect(mockDbConnection.execute).toHaveBeenCalledWith(queries.getDailyForecast, [1, '2024-01-28']);
+      expect(mockDbConnection.execute).toHaveBeenCalledWith(queries.getHourlyForecast, [2, '2024-01-27 10:30:00']);
+      expect(mockDbConnection.execute).toHaveBeenCalledWith(queries.getDailyForecast, [2, '2024-01-27']);
+    });
+
+    it('should not run two queries at once on the same connection', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      mockDbConnection.execute.mockImplementation(async (sql) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await Promise.resolve();
+        running--;
+        return sql === queries.getHourlyForecast ? [[{ forecast_time: '2024-01-28 01:00:00' }]] : [[]];
+      });
+
+      const forecast = await database.getForecastForLocation(1, 'Asia/Tokyo');
+
+      expect(forecast.hourly).toHaveLength(1);
+      expect(maxRunning).toBe(1);
+    });
+  });
+
+  describe('LRU cache', () => {
+    const { createLruCache } = require('./lruCache');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should evict the least recently used entry when full', () => {
+      const cache = createLruCache({ maxEntries: 2, ttlMs: 60000 });
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a');
+      cache.set('c', 3);
+
+      expect(cache.get('a')).toBe(1);
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.get('c')).toBe(3);
+      expect(cache.stats()).toEqual({ size: 2, hits: 3, misses: 1, evictions: 1 });
+    });
+
+    it('should expire entries after the TTL', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const cache = createLruCache({ maxEntries: 10, ttlMs: 5000 });
+      cache.set('a', 1);
+
+      now.mockReturnValue(5999);
+      expect(cache.get('a')).toBe(1);
+      now.mockReturnValue(6000);
+      expect(cache.get('a')).toBeUndefined();
+      expect(cache.stats().size).toBe(0);
+    });
+
+    it('should not store anything when disabled', () => {
+      const cache = createLruCache({ maxEntries: 10, ttlMs: 0 });
+      cache.set('a', 1);
+
+      expect(cache.get('a')).toBeUndefined();
+    });
+  });
+
+  describe('Route controls', () => {
+    const setRouteControls = (value) => {
+      mockLDClient.variation.mockImplementation((flagKey, context, defaultValue) => Promise.resolve(
+        flagKey === 'route-controls' ? value : defaultValue
+      ));
+    };
+
+    const actionEvent = (body, routeKey = '$default') => ({
+      requestContext: {
+        connectionId: 'test-connection-id',
+        routeKey
+      },
+      body: JSON.stringify({ token: 'valid-token', ...body })
+    });
+
+    afterEach(() => {
+      mockLDClient.variation.mockReset();
+    });
+
+    it('should reject disabled actions with FEATURE_DISABLED and leave others running', async () => {
+      const mockWebsocket = require('./websocket');
+      const database = require('./database');
+      setRouteControls({ disabledActions: ['getWeather', 'subscribe'] });
+
+      const response = await handler(actionEvent({ action: 'getWeather' }, 'getWeather'));
+
+      expect(response.statusCode).toBe(503);
+      expect(JSON.parse(response.body).code).toBe('FEATURE_DISABLED');
+      expect(database.getLocationsForUser).not.toHaveBeenCalled();
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'error', code: 'FEATURE_DISABLED', field: 'action' })
+      );
+
+      const allowed = await handler(actionEvent({ action: 'setUnits', units: 'metric' }));
+      expect(allowed.statusCode).toBe(200);
+    });
+
+    it('should evaluate the flag with the invocation\'s multi-context', async () => {
+      setRouteControls({});
+
+      await handler(mockEvent);
+
+      expect(mockLDClient.variation).toHaveBeenCalledWith(
+        'route-controls',
+        expect.objectContaining({ kind: 'multi', user: expect.objectContaining({ key: 'testuser' }) }),
+        {}
+      );
+    });
+
+    it('should evaluate the flag for actions with the user of the message token', async () => {
+      const { verifyToken } = require('./auth');
+      setRouteControls({});
+
+      // Actions arrive without a query string token
+      await handler(actionEvent({ action: 'resync' }));
+
+      expect(verifyToken).toHaveBeenCalledWith('valid-token');
+      expect(verifyToken).toHaveBeenCalledTimes(1);
+      expect(mockLDClient.variation).toHaveBeenCalledWith(
+        'route-controls',
+        expect.objectContaining({ user: expect.objectContaining({ key: 'testuser', anonymous: false }) }),
+        {}
+      );
+    });
+
+    it('should refuse connections during maintenance with a retry-after hint', async () => {
+      const mockWebsocket = require('./websocket');
+      setRouteControls({ maintenance: { enabled: true, message: 'Upgrading the database', retryAfterSeconds: 120 } });
+
+      const response = await handler(mockEvent);
+
+      expect(response.statusCode).toBe(503);
+      expect(response.headers).toEqual({ 'Retry-After': '120' });
+      expect(JSON.parse(response.body)).toEqual({
+        message: 'Upgrading the database',
+        code: 'MAINTENANCE',
+        retryAfterSeconds: 120
+      });
+      expect(mockWebsocket.storeConnection).not.toHaveBeenCalled();
+
+      const message = await handler(actionEvent({ action: 'resync' }));
+      expect(message.statusCode).toBe(503);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ code: 'FEATURE_DISABLED', message: 'Upgrading the database' })
+      );
+
+      const disconnect = await handler({ requestContext: { connectionId: 'test-connection-id', routeKey: '$disconnect' } });
+      expect(disconnect.statusCode).toBe(200);
+      expect(mockWebsocket.removeConnection).toHaveBeenCalledWith('test-connection-id');
+    });
+
+    it('should leave routes open when the flag value is malformed', async () => {
+      setRouteControls({ disabledActions: 'getWeather', maintenance: { enabled: 'yes' } });
+
+      const connect = await handler(mockEvent);
+      const weather = await handler(actionEvent({ action: 'getWeather' }, 'getWeather'));
+
+      expect(connect.statusCode).toBe(200);
+      expect(weather.statusCode).toBe(200);
+    });
+  });
+
+  describe('Weather provider', () => {
+    const axios = require('axios');
+    const { fetchWeatherForLocations } = require('./weatherProvider');
+
+    const location = (id) => ({ location_id: id, name: `Location ${id}`, latitude: 42.36, longitude: -71.06 });
+    const providerError = (status, data = {}) => Object.assign(
+      new Error(`Request failed with status code ${status}`),
+      { response: { status, data } }
+    );
+    const providerResponse = {
+      data: {
+        current: { temp_f: 70, condition: { text: 'Sunny' }, last_updated: '2024-01-27 10:15' },
+        forecast: { forecastday: [] },
+        alerts: { alert: [] }
+      }
+    };
+
+    beforeEach(() => {
+      process.env.WEATHER_API_KEY = 'test-weather-key';
+    });
+
+    afterEach(() => {
+      delete process.env.WEATHER_API_KEY;
+      jest.restoreAllMocks();
+      require('./database').getLocationWeather.mockReset().mockResolvedValue(null);
+    });
+
+    it('should request the configured base URL with the location coordinates', async () => {
+      const get = jest.spyOn(axios, 'get').mockResolvedValue(providerResponse);
+
+      const [row] = await fetchWeatherForLocations([location(1)]);
+
+      expect(get).toHaveBeenCalledWith('http://weather.test/v1/current.json', {
+        params: { key: 'test-weather-key', q: '42.36,-71.06' },
+        timeout: 5000
+      });
+      expect(row).toEqual(expect.objectContaining({ location_id: 1, temp_f: 70, condition_text: 'Sunny' }));
+    });
+
+    it('should classify provider failures with PROVIDER_* codes', async () => {
+      jest.spyOn(axios, 'get')
+        .mockRejectedValueOnce(providerError(400, { error: { code: 1006, message: 'No matching location found.' } }))
+        .mockRejectedValueOnce(providerError(401))
+        .mockRejectedValueOnce(providerError(429))
+        .mockRejectedValueOnce(Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' }))
+        .mockRejectedValueOnce(providerError(500));
+
+      const results = await fetchWeatherForLocations([1, 2, 3, 4, 5].map(location));
+
+      expect(results.map(result => result.code)).toEqual([
+        'LOCATION_NOT_FOUND',
+        'PROVIDER_UNAUTHORIZED',
+        'PROVIDER_RATE_LIMITED',
+        'PROVIDER_TIMEOUT',
+        'PROVIDER_ERROR'
+      ]);
+      expect(results[0].error).toBe('Weather provider request failed: No matching location found.');
+    });
+
+    it('should return an error entry for a failing location without aborting the others', async () => {
+      jest.spyOn(axios, 'get')
+        .mockRejectedValueOnce(providerError(500))
+        .mockResolvedValueOnce(providerResponse);
+
+      const [failed, succeeded] = await fetchWeatherForLocations([location(1), location(2)]);
+
+      expect(failed).toEqual(expect.objectContaining({ locationId: 1, locationName: 'Location 1', code: 'PROVIDER_ERROR' }));
+      expect(succeeded).toEqual(expect.objectContaining({ location_id: 2, temp_f: 70 }));
+    });
+
+    it('should count a location whose lookup fails and still refresh the rest', async () => {
+      const database = require('./database');
+      const { refreshLocations } = jest.requireActual('./weatherRefresh');
+      jest.spyOn(axios, 'get').mockResolvedValue(providerResponse);
+      database.getLocationWeather.mockImplementation(async (id) => {
+        if (id === 1) {
+          throw new Error('Connection lost');
+        }
+        return location(id);
+      });
+
+      const { rowsByLocation, failed } = await refreshLocations([1, 2]);
+
+      expect(failed).toBe(1);
+      expect([...rowsByLocation.keys()]).toEqual(['2']);
+      expect(database.updateWeatherCache).toHaveBeenCalledWith(expect.objectContaining({ location_id: 2 }));
+    });
+  });
+
+  describe('Weather alerts', () => {
+    const fs = require('fs/promises');
+    const CONFIG = require('./config');
+    const database = require('./database');
+    const { broadcastToUserConnections } = require('./websocket');
+    const { queries } = require('./queries');
+    const { ingestAlerts, ingestAlertFeed } = jest.requireActual('./alerts');
+
+    const alert = (overrides = {}) => ({
+      headline: 'Flood Warning issued for Boston',
+      event: 'Flood Warning',
+      severity: 'Severe',
+      effective: '2024-01-27T10:00:00Z',
+      expires: '2024-01-28T10:00:00Z',
+      ...overrides
+    });
+
+    beforeEach(() => {
+      process.env.DB_PRIMARY_HOST = 'primary-host';
+      process.env.DB_READ_REPLICA_HOST = 'replica-host';
+      process.env.DB_USER = 'db-user';
+      process.env.DB_PASSWORD = 'db-password';
+      process.env.DB_NAME = 'weather';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.useFakeTimers({ now: new Date('2024-01-27T12:00:00Z') });
+
+      // INSERT IGNORE: a second insert of the same alert_id changes no rows
+      const storedAlertIds = new Set();
+      mockDbConnection.execute.mockImplementation(async (sql, [alertId]) => {
+        if (sql !== queries.insertWeatherAlert || storedAlertIds.has(alertId)) {
+          return [{ affectedRows: 0 }];
+        }
+        storedAlertIds.add(alertId);
+        return [{ affectedRows: 1 }];
+      });
+
+      // Alerts are stored by the real database module against the mocked pool
+      let actualDatabase;
+      jest.isolateModules(() => {
+        actualDatabase = jest.requireActual('./database');
+      });
+      database.storeWeatherAlert.mockImplementation(actualDatabase.storeWeatherAlert);
+      database.getUsersForLocation.mockResolvedValue(['123']);
+      broadcastToUserConnections.mockClear();
+    });
+
+    afterEach(() => {
+      ['DB_PRIMARY_HOST', 'DB_READ_REPLICA_HOST', 'DB_USER', 'DB_PASSWORD', 'DB_NAME']
+        .forEach(name => delete process.env[name]);
+      delete CONFIG.ALERT_FEED_FILE;
+      jest.restoreAllMocks();
+      jest.useRealTimers();
+      database.storeWeatherAlert.mockReset().mockResolvedValue(true);
+      database.getUsersForLocation.mockReset().mockResolvedValue([]);
+      mockDbConnection.execute.mockReset();
+      mockDbConnection.execute.mockResolvedValue([[]]);
+    });
+
+    it('should push an alert seen twice only once', async () => {
+      const first = await ingestAlerts(42, [alert()], { locationName: 'Boston' });
+      const second = await ingestAlerts(42, [alert()], { locationName: 'Boston' });
+
+      expect(first).toEqual({ received: 1, stored: 1, pushed: 1 });
+      expect(second).toEqual({ received: 1, stored: 0, pushed: 0 });
+      expect(broadcastToUserConnections).toHaveBeenCalledTimes(1);
+      expect(broadcastToUserConnections).toHaveBeenCalledWith('123', expect.objectContaining({
+        type: 'weatherAlert',
+        alert: expect.objectContaining({ locationId: 42, locationName: 'Boston', expires: '2024-01-28 10:00:00' })
+      }));
+    });
+
+    it('should skip an alert that has already expired', async () => {
+      const summary = await ingestAlerts(42, [alert({ expires: '2024-01-27T11:59:00Z' })]);
+
+      expect(summary).toEqual({ received: 1, stored: 0, pushed: 0 });
+      expect(database.storeWeatherAlert).not.toHaveBeenCalled();
+      expect(broadcastToUserConnections).not.toHaveBeenCalled();
+    });
+
+    it('should give an alert the same id every time the feed is read', async () => {
+      CONFIG.ALERT_FEED_FILE = '/alerts/feed.json';
+      jest.spyOn(fs, 'readFile').mockResolvedValue(JSON.stringify([
+        alert({ locationId: 42 }),
+        alert({ locationId: 7, headline: 'Flood Warning issued for Cambridge' })
+      ]));
+
+      const first = await ingestAlertFeed();
+      const second = await ingestAlertFeed();
+
+      const alertIds = database.storeWeatherAlert.mock.calls.map(([stored]) => stored.alertId);
+      expect(alertIds).toHaveLength(4);
+      expect(alertIds[0]).toMatch(/^[0-9a-f]{40}$/);
+      expect(alertIds[0]).not.toBe(alertIds[1]);
+      expect(alertIds.slice(2)).toEqual(alertIds.slice(0, 2));
+      expect(first).toEqual({ received: 2, stored: 2, pushed: 2 });
+      expect(second).toEqual({ received: 2, stored: 0, pushed: 0 });
+      expect(broadcastToUserConnections).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Stale connection reaper', () => {
+    afterEach(() => {
+      require('./websocket').isConnectionAlive.mockReset();
+      require('./websocket').isConnectionAlive.mockResolvedValue(true);
+    });
+
+    it('should remove gone connections on every page and report the results', async () => {
+      const mockWebsocket = require('./websocket');
+      mockWebsocket.getLiveConnectionsPage
+        .mockResolvedValueOnce({
+          connections: [{ connectionId: 'conn-1' }, { connectionId: 'conn-2' }],
+          nextKey: { connectionId: 'conn-2' }
+        })
+        .mockResolvedValueOnce({
+          connections: [{ connectionId: 'conn-3' }],
+          nextKey: undefined
+        });
+      mockWebsocket.isConnectionAlive.mockImplementation(async (connectionId) => {
+        if (connectionId === 'conn-3') {
+          throw new Error('Throttled');
+        }
+        return connectionId !== 'conn-2';
+      });
+
+      const response = await reaperHandler({ source: 'aws.events' });
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body)).toEqual({ checked: 3, removed: 1, errors: 1 });
+      expect(mockWebsocket.removeConnection).toHaveBeenCalledTimes(1);
+      expect(mockWebsocket.removeConnection).toHaveBeenCalledWith('conn-2');
+      expect(mockCleanup).toHaveBeenCalledWith(mockLDClient);
+    });
+
+    it('should keep paging after removing the last connection of a page', async () => {
+      const store = require('./memoryConnectionStore');
+      const mockWebsocket = require('./websocket');
+      const ttl = Math.floor(Date.now() / 1000) + 3600;
+      const connectionIds = Array.from({ length: 150 }, (_, index) => `conn-${String(index).padStart(3, '0')}`);
+      store.reset();
+      for (const connectionId of [...connectionIds].reverse()) {
+        await store.putConnection({ connectionId, userId: '123', ttl });
+      }
+
+      // Pages are read from the in-memory store; conn-099 ends the first page and is gone
+      mockWebsocket.getLiveConnectionsPage.mockImplementation(store.listActiveConnectionsPage);
+      mockWebsocket.removeConnection.mockImplementation(store.deleteConnection);
+      mockWebsocket.isConnectionAlive.mockImplementation(async (connectionId) => connectionId !== 'conn-099');
+
+      try {
+        const response = await reaperHandler({ source: 'aws.events' });
+
+        expect(JSON.parse(response.body)).toEqual({ checked: 150, removed: 1, errors: 0 });
+        expect(mockWebsocket.isConnectionAlive.mock.calls.map(([connectionId]) => connectionId)).toEqual(connectionIds);
+        expect(await store.getConnection('conn-099')).toBeNull();
+      } finally {
+        mockWebsocket.getLiveConnectionsPage.mockReset().mockResolvedValue({ connections: [], nextKey: undefined });
+        mockWebsocket.removeConnection.mockReset().mockResolvedValue();
+        store.reset();
+      }
+    });
+  });
+
+  describe('Fan-out', () => {
+    const { mapWithConcurrency, fanOut } = require('./fanOut');
+    const { splitMessage } = require('./messageParts');
+
+    it('should never run more tasks at once than the concurrency limit', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      const results = await mapWithConcurrency([1, 2, 3, 4, 5], async (item) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        return item * 2;
+      }, { concurrency: 2 });
+
+      expect(maxRunning).toBe(2);
+      expect(results.map(result => result.value)).toEqual([2, 4, 6, 8, 10]);
+    });
+
+    it('should report sent, gone and failed per connection', async () => {
+      const summary = await fanOut(['conn-1', 'conn-2', 'conn-3'], async (connectionId) => {
+        if (connectionId === 'conn-3') {
+          throw new Error('Throttled');
+        }
+        return connectionId === 'conn-1';
+      });
+
+      expect(summary).toEqual({
+        connections: 3,
+        sent: 1,
+        gone: 1,
+        failed: 1,
+        results: [
+          { connectionId: 'conn-1', status: 'sent' },
+          { connectionId: 'conn-2', status: 'gone' },
+          { connectionId: 'conn-3', status: 'failed', error: 'Throttled' }
+        ]
+      });
+    });
+
+    it('should split an oversized weatherUpdate into numbered parts that fit the frame limit', () => {
+      const data = Array.from({ length: 10 }, (_, index) => ({ id: index, details: 'x'.repeat(300) }));
+      const message = { type: 'weatherUpdate', data, sequence: 4 };
+
+      const parts = splitMessage(message, 1000);
+
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach((part, index) => {
+        expect(Buffer.byteLength(JSON.stringify(part))).toBeLessThanOrEqual(1000);
+        expect(part).toEqual(expect.objectContaining({
+          type: 'weatherUpdate',
+          sequence: 4,
+          messageId: parts[0].messageId,
+          part: index + 1,
+          parts: parts.length
+        }));
+      });
+      expect(parts.flatMap(part => part.data)).toEqual(data);
+    });
+
+    it('should leave messages within the frame limit untouched', () => {
+      const message = { type: 'weatherUpdate', data: [{ id: 1 }], sequence: 1 };
+
+      expect(splitMessage(message, 1000)).toEqual([message]);
+    });
+  });
+
+  describe('Message encoding', () => {
+    const zlib = require('zlib');
+    const { encodeMessage } = require('./messageEncoding');
+
+    const { encode, decode } = require('@msgpack/msgpack');
+
+    const connectEvent = (encoding, protocol) => ({
+      ...mockEvent,
+      queryStringParameters: { ...mockEvent.queryStringParameters, encoding, protocol }
+    });
+
+    it('should store the encoding requested at $connect', async () => {
+      const response = await handler(connectEvent('gzip'));
+
+      expect(response.statusCode).toBe(200);
+      expect(require('./websocket').storeConnection).toHaveBeenCalledWith(
+        'test-connection-id', '123', undefined, { encoding: 'gzip', protocol: undefined }
+      );
+    });
+
+    it('should refuse to connect with an unsupported encoding', async () => {
+      const response = await handler(connectEvent('brotli'));
+
+      expect(response.statusCode).toBe(400);
+      expect(require('./websocket').storeConnection).not.toHaveBeenCalled();
+    });
+
+    it('should send plain JSON by default and a base64 envelope for compressed encodings', () => {
+      const message = { type: 'noLocations', message: 'No locations found.' };
+
+      expect(JSON.parse(encodeMessage(message))).toEqual(message);
+
+      const gzipped = JSON.parse(encodeMessage(message, { encoding: 'gzip' }));
+      expect(gzipped).toEqual({ type: 'encoded', encoding: 'gzip', data: expect.any(String) });
+      expect(JSON.parse(zlib.gunzipSync(Buffer.from(gzipped.data, 'base64')))).toEqual(message);
+
+      const deflated = JSON.parse(encodeMessage(message, { encoding: 'deflate' }));
+      expect(JSON.parse(zlib.inflateSync(Buffer.from(deflated.data, 'base64')))).toEqual(message);
+    });
+
+    it('should store the msgpack protocol and refuse it with a compressed encoding', async () => {
+      await handler(connectEvent(undefined, 'msgpack'));
+      expect(require('./websocket').storeConnection).toHaveBeenCalledWith(
+        'test-connection-id', '123', undefined, { encoding: undefined, protocol: 'msgpack' }
+      );
+
+      const response = await handler(connectEvent('gzip', 'msgpack'));
+      expect(response.statusCode).toBe(400);
+    });
+
+    it('should dispatch binary MessagePack frames like JSON messages', async () => {
+      const mockWebsocket = require('./websocket');
+      require('./database').getLocationsForUser.mockResolvedValueOnce([
+        { location_id: 42, name: 'Denver' }
+      ]);
+
+      await handler({
+        requestContext: { connectionId: 'test-connection-id', routeKey: '$default' },
+        body: Buffer.from(encode({ action: 'subscribe', token: 'valid-token', locationIds: [42], requestId: 'req-7' })).toString('base64'),
+        isBase64Encoded: true
+      });
+
+      expect(mockWebsocket.addConnectionLocations).toHaveBeenCalledWith('test-connection-id', ['42']);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'subscriptions' })
+      );
+      expect(logger.info).toHaveBeenCalledWith(
+        'Received WebSocket Event',
+        expect.objectContaining({ requestId: 'req-7' })
+      );
+    });
+
+    it('should reject binary frames that are not MessagePack', async () => {
+      const response = await handler({
+        requestContext: { connectionId: 'test-connection-id', routeKey: '$default' },
+        body: Buffer.from([0xc1]).toString('base64'),
+        isBase64Encoded: true
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(require('./websocket').sendMessageToClient).toHaveBeenCalledWith(
+        'test-connection-id',
+        expect.objectContaining({ type: 'error', code: 'INVALID_MESSAGE' })
+      );
+    });
+
+    it('should encode messages as MessagePack for msgpack connections', () => {
+      const message = { type: 'error', code: 'INVALID_JSON', field: undefined };
+
+      expect(decode(encodeMessage(message, { protocol: 'msgpack' }))).toEqual({ type: 'error', code: 'INVALID_JSON' });
+    });
+  });
+
+  describe('Weather deltas', () => {
+    const store = require('./memoryConnectionStore');
+    const { sendMessageToClient, recordConnectionSnapshot } = require('./websocket');
+    const {
+      createSnapshot,
+      computeWeatherDelta,
+      sendWeatherSnapshot,
+      sendWeatherChanges
+    } = jest.requireActual('./weatherDelta');
+
+    const location = (id, current = {}) => ({
+      id,
+      name: `Location ${id}`,
+      current: { temperature: 68, condition: 'Sunny', ...current }
+    });
+
+    beforeEach(async () => {
+      store.reset();
+      await store.putConnection({ connectionId: 'conn-1', userId: '123', ttl: Math.floor(Date.now() / 1000) + 3600 });
+      // Sequences come from the in-memory store, as they do on the dev server
+      recordConnectionSnapshot.mockImplementation(store.recordSnapshot);
+      sendMessageToClient.mockClear();
+    });
+
+    afterEach(() => {
+      recordConnectionSnapshot.mockReset().mockResolvedValue(1);
+      store.reset();
+    });
+
+    it('should send only the changed fields of a location', () => {
+      const snapshot = createSnapshot([location(1), location(2)]);
+
+      expect(computeWeatherDelta(snapshot, [location(1, { temperature: 70 }), location(2)])).toEqual([
+        { id: 1, current: { temperature: 70 } }
+      ]);
+    });
+
+    it('should clear a removed field and leave out locations missing from the update', () => {
+      const snapshot = createSnapshot([location(1, { uv: 3 }), location(2)]);
+
+      expect(computeWeatherDelta(snapshot, [location(1)])).toEqual([
+        { id: 1, current: { uv: null } }
+      ]);
+    });
+
+    it('should ignore key order when comparing stored snapshots', () => {
+      // DynamoDB returns map attributes in any order
+      const snapshot = createSnapshot([{ current: { condition: 'Sunny', temperature: 68 }, name: 'Location 1', id: 1 }]);
+
+      expect(computeWeatherDelta(snapshot, [location(1)])).toEqual([]);
+      expect(computeWeatherDelta(snapshot, [location(1, { condition: 'Cloudy' })])).toEqual([
+        { id: 1, current: { condition: 'Cloudy' } }
+      ]);
+    });
+
+    it('should send nothing when the payload has not changed', async () => {
+      await sendWeatherSnapshot('conn-1', [location(1)]);
+      sendMessageToClient.mockClear();
+
+      const connection = await store.getConnection('conn-1');
+      expect(computeWeatherDelta(connection.lastSnapshot, [location(1)])).toEqual([]);
+      expect(await sendWeatherChanges(connection, [location(1)])).toBe(false);
+      expect(sendMessageToClient).not.toHaveBeenCalled();
+    });
+
+    it('should number snapshots and deltas with an increasing sequence', async () => {
+      await sendWeatherSnapshot('conn-1', [location(1)]);
+      await sendWeatherChanges(await store.getConnection('conn-1'), [location(1, { temperature: 70 })]);
+      await sendWeatherChanges(await store.getConnection('conn-1'), [location(1, { temperature: 72 })]);
+
+      const messages = sendMessageToClient.mock.calls.map(([, message]) => message);
+      expect(messages.map(message => message.type)).toEqual(['weatherUpdate', 'weatherDelta', 'weatherDelta']);
+      expect(messages.map(message => message.sequence)).toEqual([1, 2, 3]);
+    });
+
+    it('should not store a snapshot too large for the connection record and send the next push in full', async () => {
+      const large = location(1, { summary: 'x'.repeat(300 * 1024) });
+
+      await sendWeatherSnapshot('conn-1', [large]);
+      const connection = await store.getConnection('conn-1');
+      expect(connection.lastSnapshot).toBeNull();
+
+      await sendWeatherChanges(connection, [location(1)]);
+
+      const messages = sendMessageToClient.mock.calls.map(([, message]) => message);
+      expect(messages.map(message => message.type)).toEqual(['weatherUpdate', 'weatherUpdate']);
+      expect(messages.map(message => message.sequence)).toEqual([1, 2]);
+    });
+
+    it('should not send to a connection that is gone', async () => {
+      await store.deleteConnection('conn-1');
+
+      expect(await sendWeatherSnapshot('conn-1', [location(1)])).toBe(false);
+      expect(await sendWeatherChanges({ connectionId: 'conn-1', lastSnapshot: createSnapshot([location(1)]) },
+        [location(1, { temperature: 70 })])).toBe(false);
+      expect(sendMessageToClient).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Token expiry warnings', () => {
+    const store = require('./memoryConnectionStore');
+    const mockWebsocket = require('./websocket');
+    const { sendTokenExpiringWarnings } = jest.requireActual('./tokenExpiry');
+    let actualWebsocket;
+
+    const nowSeconds = () => Math.floor(Date.now() / 1000);
+    const putConnection = (connectionId, authExpiresAt) => store.putConnection({
+      connectionId,
+      userId: '123',
+      authExpiresAt,
+      ttl: nowSeconds() + 3600
+    });
+    const warnedConnectionIds = () => mockWebsocket.sendMessageToClient.mock.calls
+      .filter(([, message]) => message.type === 'tokenExpiring')
+      .map(([connectionId]) => connectionId);
+
+    beforeAll(() => {
+      process.env.WEBSOCKET_API_ENDPOINT = 'https://gateway.test/dev';
+      actualWebsocket = jest.requireActual('./websocket');
+    });
+
+    afterAll(() => {
+      delete process.env.WEBSOCKET_API_ENDPOINT;
+    });
+
+    beforeEach(() => {
+      store.reset();
+      // Connections are read from and marked in the in-memory store
+      mockWebsocket.getExpiringConnections.mockImplementation(actualWebsocket.getExpiringConnections);
+      mockWebsocket.markExpiryWarningSent.mockImplementation(actualWebsocket.markExpiryWarningSent);
+      mockWebsocket.sendMessageToClient.mockClear().mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      store.reset();
+      mockWebsocket.getExpiringConnections.mockReset().mockResolvedValue([]);
+      mockWebsocket.markExpiryWarningSent.mockReset().mockResolvedValue();
+      mockWebsocket.sendMessageToClient.mockReset().mockResolvedValue();
+    });
+
+    it('should warn only connections whose token expires within the warning window', async () => {
+      const expiresAt = nowSeconds() + 60;
+      await putConnection('conn-soon', expiresAt);
+      await putConnection('conn-later', nowSeconds() + 600);
+      await putConnection('conn-expired', nowSeconds() - 10);
+      await putConnection('conn-no-token', undefined);
+
+      const summary = await sendTokenExpiringWarnings();
+
+      expect(summary).toEqual({ expiring: 1, warned: 1 });
+      expect(warnedConnectionIds()).toEqual(['conn-soon']);
+      expect(mockWebsocket.sendMessageToClient).toHaveBeenCalledWith('conn-soon', expect.objectContaining({
+        type: 'tokenExpiring',
+        expiresAt: new Date(expiresAt * 1000).toISOString(),
+        expiresInSeconds: expect.any(Number)
+      }));
+    });
+
+    it('should warn about each token once', async () => {
+      await putConnection('conn-soon', nowSeconds() + 60);
+
+      await sendTokenExpiringWarnings();
+      const second = await sendTokenExpiringWarnings();
+
+      expect(second).toEqual({ expiring: 0, warned: 0 });
+      expect(warnedConnectionIds()).toEqual(['conn-soon']);
+      expect((await store.getConnection('conn-soon')).expiryWarningSentAt).toEqual(expect.any(Number));
+    });
+
+    it('should try again on the next run when a warning was not delivered', async () => {
+      await putConnection('conn-soon', nowSeconds() + 60);
+      mockWebsocket.sendMessageToClient.mockResolvedValueOnce(false);
+
+      const first = await sendTokenExpiringWarnings();
+      const second = await sendTokenExpiringWarnings();
+
+      expect(first).toEqual({ expiring: 1, warned: 0 });
+      expect(second).toEqual({ expiring: 1, warned: 1 });
+      expect(warnedConnectionIds()).toEqual(['conn-soon', 'conn-soon']);
+    });
+  });
+
+  describe('In-memory connection store', () => {
+    const store = require('./memoryConnectionStore');
+    const liveTTL = () => Math.floor(Date.now() / 1000) + 3600;
+
+    beforeEach(() => {
+      store.reset();
+    });
+
+    it('should not overwrite an existing connection', async () => {
+      expect(await store.putConnection({ connectionId: 'conn-1', userId: '123', ttl: liveTTL() })).toBe(true);
+      expect(await store.putConnection({ connectionId: 'conn-1', userId: '456', ttl: liveTTL() })).toBe(false);
+
+      expect((await store.getConnection('conn-1')).userId).toBe('123');
+    });
+
+    it('should add and remove location IDs as strings and drop an emptied set', async () => {
+      await store.putConnection({ connectionId: 'conn-1', userId: '123', ttl: liveTTL() });
+
+      const added = await store.addLocations('conn-1', [1, '2'], { set: { status: 'CONNECTED' } });
+      expect([...added.locationIds]).toEqual(['1', '2']);
+      expect(added.status).toBe('CONNECTED');
+
+      const removed = await store.removeLocations('conn-1', ['1', 2]);
+      expect(removed.locationIds).toBeUndefined();
+    });
+
+    it('should not recreate a removed connection on update', async () => {
+      await store.putConnection({ connectionId: 'conn-1', userId: '123', ttl: liveTTL() });
+      await store.deleteConnection('conn-1');
+
+      expect(await store.updateConnection('conn-1', { set: { units: 'metric' } })).toBeNull();
+      expect(await store.addLocations('conn-1', ['1'])).toBeNull();
+      expect(await store.recordSnapshot('conn-1', {})).toBeNull();
+      expect(await store.getConnection('conn-1')).toBeNull();
+    });
+
+    it('should list a user\'s connections and only live connections', async () => {
+      await store.putConnection({ connectionId: 'conn-1', userId: '123', ttl: liveTTL() });
+      await store.putConnection({ connectionId: 'conn-2', userId: '123', ttl: 1 });
+      await store.putConnection({ connectionId: 'conn-3', userId: '456', ttl: liveTTL() });
+
+      expect((await store.listUserConnections(123)).map(c => c.connectionId)).toEqual(['conn-1', 'conn-2']);
+
+      const { connections, nextKey } = await store.listActiveConnectionsPage();
+      expect(connections.map(c => c.connectionId)).toEqual(['conn-1', 'conn-3']);
+      expect(nextKey).toBeUndefined();
+    });
+
+    it('should return copies that do not change the stored connection', async () => {
+      await store.putConnection({ connectionId: 'conn-1', userId: '123', ttl: liveTTL() });
+
+      const connection = await store.getConnection('conn-1');
+      connection.userId = '999';
+
+      expect((await store.getConnection('conn-1')).userId).toBe('123');
+    });
+  });
+
+  describe('DynamoDB connection store', () => {
+    const { DynamoDBDocumentClient, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+    const store = jest.requireActual('./dynamoConnectionStore');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should find a user\'s connections through the userId index, following every page', async () => {
+      const send = jest.spyOn(DynamoDBDocumentClient.prototype, 'send')
+        .mockResolvedValueOnce({
+          Items: [{ connectionId: 'conn-1', userId: '123' }, { connectionId: 'conn-2', userId: '123' }],
+          LastEvaluatedKey: { connectionId: 'conn-2', userId: '123' }
+        })
+        .mockResolvedValueOnce({
+          Items: [{ connectionId: 'conn-3', userId: '123' }]
+        });
+
+      const connections = await store.listUserConnections(123);
+
+      expect(connections.map(connection => connection.connectionId)).toEqual(['conn-1', 'conn-2', 'conn-3']);
+      expect(send).toHaveBeenCalledTimes(2);
+
+      const [first, second] = send.mock.calls.map(([command]) => command);
+      expect(first).toBeInstanceOf(QueryCommand);
+      expect(first.input).toEqual(expect.objectContaining({
+        TableName: 'test-connections-table',
+        IndexName: 'userId-index',
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': '123' }
+      }));
+      expect(first.input.ExclusiveStartKey).toBeUndefined();
+      expect(second.input.ExclusiveStartKey).toEqual({ connectionId: 'conn-2', userId: '123' });
+      expect(send.mock.calls.some(([command]) => command instanceof ScanCommand)).toBe(false);
+    });
+  });
+
+  describe('Local dev server', () => {
+    const net = require('net');
+    const { once } = require('events');
+    const WebSocket = require('ws');
+    // Variables devServer.js sets before loading the handler
+    const DEV_SERVER_ENV = [
+      'DEV_SERVER_PORT',
+      'CONNECTION_STORE',
+      'WEBSOCKET_API_ENDPOINT',
+      'AWS_REGION',
+      'AWS_ACCESS_KEY_ID',
+      'AWS_SECRET_ACCESS_KEY'
+    ];
+    let savedEnv;
+
+    const getFreePort = () => new Promise((resolve, reject) => {
+      const probe = net.createServer();
+      probe.once('error', reject);
+      probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+      });
+    });
+
+    const nextMessageOfType = (client, type) => new Promise((resolve) => {
+      client.on('message', function onMessage(data) {
+        const message = JSON.parse(data.toString());
+        if (message.type === type) {
+          client.off('message', onMessage);
+          resolve(message);
+        }
+      });
+    });
+
+    beforeEach(() => {
+      savedEnv = Object.fromEntries(DEV_SERVER_ENV.map(name => [name, process.env[name]]));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      for (const [name, value] of Object.entries(savedEnv)) {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+      jest.restoreAllMocks();
+    });
+
+    it('should run connect, the named routes and disconnect through the handler', async () => {
+      const port = await getFreePort();
+      process.env.DEV_SERVER_PORT = String(port);
+
+      let server;
+      let store;
+      let onRemoved;
+      const removed = new Promise(resolve => { onRemoved = resolve; });
+
+      jest.isolateModules(() => {
+        ({ server } = require('./devServer'));
+        store = require('./memoryConnectionStore');
+
+        // Messages go out through the real management API client, back to the dev server
+        const mockWebsocket = require('./websocket');
+        const actualWebsocket = jest.requireActual('./websocket');
+        for (const [name, implementation] of Object.entries(actualWebsocket)) {
+          if (jest.isMockFunction(mockWebsocket[name])) {
+            mockWebsocket[name].mockImplementation(implementation);
+          }
+        }
+        mockWebsocket.removeConnection.mockImplementation(async (connectionId) => {
+          await actualWebsocket.removeConnection(connectionId);
+          onRemoved(connectionId);
+        });
+      });
+
+      try {
+        if (!server.listening) {
+          await once(server, 'listening');
+        }
+
+        const client = new WebSocket(`ws://localhost:${port}?token=valid-token&userId=123`);
+        const noLocations = nextMessageOfType(client, 'noLocations');
+        await once(client, 'open');
+        await noLocations;
+
+        const weatherUpdate = nextMessageOfType(client, 'weatherUpdate');
+        client.send(JSON.stringify({ action: 'getWeather', token: 'valid-token' }));
+        expect(await weatherUpdate).toEqual(expect.objectContaining({ data: [], sequence: 1 }));
+        expect(mockLogger.info).toHaveBeenCalledWith(
+          'Received WebSocket Event',
+          expect.objectContaining({ routeKey: 'getWeather' })
+        );
+
+        const locationUpdate = nextMessageOfType(client, 'weatherUpdate');
+        client.send(JSON.stringify({ action: 'locationUpdate', token: 'valid-token' }));
+        expect(await locationUpdate).toEqual(expect.objectContaining({ sequence: 2 }));
+        expect(mockLogger.info).toHaveBeenCalledWith(
+          'Received WebSocket Event',
+          expect.objectContaining({ routeKey: 'locationUpdate' })
+        );
+
+        client.close();
+        const connectionId = await removed;
+        expect(await store.getConnection(connectionId)).toBeNull();
+      } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
   });
 });
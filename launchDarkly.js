@@ -1,5 +1,6 @@
+const util = require('util');
 const LaunchDarkly = require('@launchdarkly/node-server-sdk');
-const { logger } = require('@bradbunce/launchdarkly-lambda-logger');
+const { logger } = require('./requestContext');
 
 // Create service context
 const createServiceContext = () => ({
@@ -9,9 +10,9 @@ const createServiceContext = () => ({
   environment: process.env.NODE_ENV
 });
 
-// Create user context from token
-const createUserContext = (token, verifyToken) => {
-  if (!token) {
+// Create user context from verified token claims; without claims the user is anonymous
+const createUserContext = (claims) => {
+  if (!claims) {
     return {
       kind: 'user',
       key: 'anonymous',
@@ -19,58 +20,50 @@ const createUserContext = (token, verifyToken) => {
     };
   }
 
-  try {
-    const decoded = verifyToken(token);
-    return {
-      kind: 'user',
-      key: decoded.username || String(decoded.userId),
-      name: decoded.name,
-      userId: decoded.userId,
-      anonymous: false
-    };
-  } catch (error) {
-    return {
-      kind: 'user',
-      key: 'anonymous',
-      anonymous: true
-    };
-  }
+  return {
+    kind: 'user',
+    key: claims.username || String(claims.userId),
+    name: claims.name,
+    userId: claims.userId,
+    anonymous: false
+  };
 };
 
 // Create multi-context
-const createMultiContext = (token, verifyToken) => ({
+const createMultiContext = (claims) => ({
   kind: 'multi',
-  user: createUserContext(token, verifyToken),
+  user: createUserContext(claims),
   service: createServiceContext()
 });
 
-// Initialize LaunchDarkly client
-const initializeLDClient = async () => {
-  // Create a temporary client to evaluate the SDK log level flag
-  const tempClient = LaunchDarkly.init(process.env.LD_SDK_KEY, {
-    logger: LaunchDarkly.basicLogger({ level: 'error' })
-  });
-  await tempClient.waitForInitialization({timeout: 2});
+// SDK log levels, from most to least verbose
+const SDK_LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'none'];
+const DEFAULT_SDK_LOG_LEVEL = 'info';
 
-  // Get SDK log level from flag using service context
-  const sdkLogLevel = await tempClient.variation(
-    process.env.LD_SDK_LOG_LEVEL_FLAG_KEY,
-    createServiceContext(),
-    'info' // Default to info if flag is not set
-  );
-
-  // Clean up temporary client
-  await tempClient.close();
-
-  // Create the real client with the configured log level
-  const client = LaunchDarkly.init(process.env.LD_SDK_KEY, {
-    logger: LaunchDarkly.basicLogger({
-      level: sdkLogLevel,
-      destination: (level, message) => {
-        console.debug(`[LaunchDarkly SDK ${level}] ${message}`);
-      }
-    })
-  });
+// How long a cold start waits for flag data before carrying on with flag defaults
+const INITIALIZATION_TIMEOUT_SECONDS = 2;
+
+// One client per container, shared by every warm invocation
+let clientPromise;
+// Stand-in used while LaunchDarkly can't be set up; every flag evaluates to its default
+let offlineClient;
+let currentSdkLogLevel = DEFAULT_SDK_LOG_LEVEL;
+
+const setSdkLogLevel = (level) => {
+  currentSdkLogLevel = SDK_LOG_LEVELS.includes(level) ? level : DEFAULT_SDK_LOG_LEVEL;
+};
+
+// SDK logger that follows the SDK log level flag without recreating the client
+const sdkLogger = Object.fromEntries(
+  SDK_LOG_LEVELS.filter(level => level !== 'none').map(level => [level, (...args) => {
+    if (SDK_LOG_LEVELS.indexOf(level) >= SDK_LOG_LEVELS.indexOf(currentSdkLogLevel)) {
+      console.debug(`[LaunchDarkly SDK ${level}] ${util.format(...args)}`);
+    }
+  }])
+);
+
+const createClient = async () => {
+  const client = LaunchDarkly.init(process.env.LD_SDK_KEY, { logger: sdkLogger });
 
   // Set up flag change listeners for debugging
   client.on('update', () => {
@@ -83,8 +76,9 @@ const initializeLDClient = async () => {
         settings.key === process.env.LD_SDK_LOG_LEVEL_FLAG_KEY) {
       const [appLogLevel, sdkLogLevel] = await Promise.all([
         client.variation(process.env.LD_LOG_LEVEL_FLAG_KEY, createServiceContext(), 'info'),
-        client.variation(process.env.LD_SDK_LOG_LEVEL_FLAG_KEY, createServiceContext(), 'info')
+        client.variation(process.env.LD_SDK_LOG_LEVEL_FLAG_KEY, createServiceContext(), DEFAULT_SDK_LOG_LEVEL)
       ]);
+      setSdkLogLevel(sdkLogLevel);
       logger.debug('Log level configuration changed:', {
         appLevel: appLogLevel,
         sdkLevel: sdkLogLevel,
@@ -97,12 +91,60 @@ const initializeLDClient = async () => {
     }
   });
 
+  try {
+    await client.waitForInitialization({ timeout: INITIALIZATION_TIMEOUT_SECONDS });
+  } catch (error) {
+    // The client keeps connecting in the background; until then flags evaluate to their defaults
+    logger.warn('LaunchDarkly did not initialize in time, using flag defaults', {
+      error: error.message
+    });
+  }
+
+  // Get SDK log level from flag using service context
+  setSdkLogLevel(await client.variation(
+    process.env.LD_SDK_LOG_LEVEL_FLAG_KEY,
+    createServiceContext(),
+    DEFAULT_SDK_LOG_LEVEL
+  ));
+
   return client;
 };
 
-// Initialize logger with LaunchDarkly client and context
-const initializeLogger = async (ldClient, token, verifyToken) => {
-  const multiContext = createMultiContext(token, verifyToken);
+/**
+ * Returns the container's LaunchDarkly client, creating it on the first
+ * invocation. If the client can't be created, an offline client that serves
+ * flag defaults is returned instead and creation is retried next invocation.
+ *
+ * @returns {Object} LaunchDarkly client
+ */
+const initializeLDClient = async () => {
+  if (!clientPromise) {
+    clientPromise = createClient();
+  }
+
+  try {
+    return await clientPromise;
+  } catch (error) {
+    clientPromise = undefined;
+    logger.error('LaunchDarkly client could not be created, using flag defaults', {
+      error: error.message
+    });
+
+    if (!offlineClient) {
+      offlineClient = LaunchDarkly.init(process.env.LD_SDK_KEY || 'offline', {
+        offline: true,
+        logger: sdkLogger
+      });
+    }
+    return offlineClient;
+  }
+};
+
+// Initialize logger with LaunchDarkly client and context. Callers pass claims
+// they have already verified, so the token isn't verified (or checked for
+// revocation) a second time.
+const initializeLogger = async (ldClient, claims) => {
+  const multiContext = createMultiContext(claims);
   await logger.initialize(ldClient, multiContext, {
     logLevelFlagKey: process.env.LD_LOG_LEVEL_FLAG_KEY
   });
@@ -124,10 +166,23 @@ const initializeLogger = async (ldClient, token, verifyToken) => {
   return multiContext;
 };
 
-// Clean up LaunchDarkly resources
+/**
+ * Ends an invocation's use of LaunchDarkly. The client stays open for the next
+ * warm invocation; only the events it has queued are flushed, since a frozen
+ * container can't send them later.
+ *
+ * @param {Object} [ldClient] - Client from initializeLDClient
+ */
 const cleanup = async (ldClient) => {
-  await ldClient.flush();
-  await Promise.all([logger.close(), ldClient.close()]);
+  if (!ldClient) {
+    return;
+  }
+
+  try {
+    await ldClient.flush();
+  } catch (error) {
+    logger.warn('Failed to flush LaunchDarkly events', { error: error.message });
+  }
 };
 
 module.exports = {
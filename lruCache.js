@@ -0,0 +1,97 @@
+/**
+ * LRU Cache Module
+ *
+ * Small in-memory cache for data that is read far more often than it changes.
+ * It lives as long as the Lambda container, so back-to-back invocations on a
+ * warm container skip the database. Entries expire after `ttlMs`, and once
+ * `maxEntries` is reached the least recently used entry is evicted. Each cache
+ * counts its hits, misses and evictions for logging.
+ *
+ * Other containers keep their own caches, so a write made elsewhere is only
+ * seen here once the entry expires; local writes invalidate entries directly.
+ */
+
+/**
+ * Creates a cache
+ *
+ * @param {Object} options
+ * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+ * @param {number} options.ttlMs - How long an entry is served, in milliseconds
+ * @returns {Object} Cache with get, set, delete, deleteWhere, clear and stats
+ */
+const createLruCache = ({ maxEntries, ttlMs }) => {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+  const enabled = maxEntries > 0 && ttlMs > 0;
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {*} A copy of the cached value, or undefined on a miss
+   */
+  const get = (key) => {
+    const entry = entries.get(String(key));
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      entries.delete(String(key));
+      counters.misses++;
+      return undefined;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    entries.delete(String(key));
+    entries.set(String(key), entry);
+    counters.hits++;
+
+    // Callers get copies so they can't mutate cached values
+    return structuredClone(entry.value);
+  };
+
+  /**
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache (copied)
+   */
+  const set = (key, value) => {
+    if (!enabled) {
+      return;
+    }
+
+    entries.delete(String(key));
+    entries.set(String(key), { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+  };
+
+  /**
+   * Removes the entries whose value matches a predicate
+   *
+   * @param {Function} predicate - (value, key) => boolean
+   * @returns {number} Number of entries removed
+   */
+  const deleteWhere = (predicate) => {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (predicate(entry.value, key)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(String(key)),
+    deleteWhere,
+    clear: () => entries.clear(),
+    stats: () => ({ size: entries.size, ...counters })
+  };
+};
+
+module.exports = {
+  createLruCache
+};
@@ -0,0 +1,135 @@
+/**
+ * In-Memory Connection Store
+ *
+ * Keeps WebSocket connections in a Map for local development and tests, where
+ * DynamoDB isn't available. Records live only as long as the process, and
+ * connections past their `ttl` are left out of listings the way DynamoDB's
+ * filters leave them out.
+ *
+ * Implements the connection store interface described in connectionStore.js.
+ */
+
+// Connections listed per page, mirroring a paginated DynamoDB scan
+const PAGE_SIZE = 100;
+
+const connections = new Map();
+
+// Callers get copies so they can't mutate stored records
+const copy = (connection) => (connection ? structuredClone(connection) : null);
+
+const isLive = (connection) => connection.ttl > Math.floor(Date.now() / 1000);
+
+const applyChanges = (connection, { set = {}, remove = [] } = {}) => {
+    Object.assign(connection, structuredClone(set));
+    for (const attribute of remove) {
+        delete connection[attribute];
+    }
+};
+
+const putConnection = async (connection) => {
+    if (connections.has(connection.connectionId)) {
+        return false;
+    }
+    connections.set(connection.connectionId, copy(connection));
+    return true;
+};
+
+const getConnection = async (connectionId) => copy(connections.get(connectionId));
+
+const deleteConnection = async (connectionId) => {
+    connections.delete(connectionId);
+};
+
+const updateConnection = async (connectionId, changes) => {
+    const connection = connections.get(connectionId);
+    if (!connection) {
+        return null;
+    }
+    applyChanges(connection, changes);
+    return copy(connection);
+};
+
+// Location IDs are kept as a Set of strings, like the DynamoDB string set
+const modifyLocations = (connectionId, locationIds, changes, modify) => {
+    const connection = connections.get(connectionId);
+    if (!connection) {
+        return null;
+    }
+
+    const current = new Set(connection.locationIds || []);
+    locationIds.map(String).forEach(id => modify(current, id));
+
+    // Like DynamoDB, an emptied set removes the attribute
+    if (current.size > 0) {
+        connection.locationIds = current;
+    } else {
+        delete connection.locationIds;
+    }
+    applyChanges(connection, changes);
+    return copy(connection);
+};
+
+const addLocations = async (connectionId, locationIds, changes) =>
+    modifyLocations(connectionId, locationIds, changes, (set, id) => set.add(id));
+
+const removeLocations = async (connectionId, locationIds, changes) =>
+    modifyLocations(connectionId, locationIds, changes, (set, id) => set.delete(id));
+
+const recordSnapshot = async (connectionId, snapshot) => {
+    const connection = connections.get(connectionId);
+    if (!connection) {
+        return null;
+    }
+    connection.lastSnapshot = structuredClone(snapshot);
+    connection.sequence = (connection.sequence || 0) + 1;
+    return connection.sequence;
+};
+
+const listUserConnections = async (userId) => [...connections.values()]
+    .filter(connection => connection.userId === String(userId))
+    .map(copy);
+
+// Index of the first ID that sorts after `connectionId`
+const sortedIndexAfter = (ids, connectionId) => {
+    const index = ids.findIndex(id => id > connectionId);
+    return index === -1 ? ids.length : index;
+};
+
+/**
+ * Returns one page of connections whose TTL has not passed
+ *
+ * @param {Object} [startKey] - nextKey from the previous page
+ * @returns {Object} { connections, nextKey }
+ */
+const listActiveConnectionsPage = async (startKey) => {
+    // Pages continue after the last ID of the previous page, like a DynamoDB
+    // ExclusiveStartKey, so they still line up when that connection has since
+    // been deleted (e.g. by the stale connection reaper)
+    const ids = [...connections.keys()].sort();
+    const start = startKey ? sortedIndexAfter(ids, startKey.connectionId) : 0;
+    const page = ids.slice(start, start + PAGE_SIZE);
+    const hasMore = start + PAGE_SIZE < ids.length;
+
+    return {
+        connections: page.map(id => connections.get(id)).filter(isLive).map(copy),
+        nextKey: hasMore ? { connectionId: page[page.length - 1] } : undefined
+    };
+};
+
+// Drops every stored connection (used between tests)
+const reset = () => {
+    connections.clear();
+};
+
+module.exports = {
+    putConnection,
+    getConnection,
+    deleteConnection,
+    updateConnection,
+    addLocations,
+    removeLocations,
+    recordSnapshot,
+    listUserConnections,
+    listActiveConnectionsPage,
+    reset
+};
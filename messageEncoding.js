@@ -0,0 +1,104 @@
+/**
+ * Message Encoding Module
+ *
+ * Handles the wire format a client chose at $connect. Both choices are query
+ * parameters stored on the connection.
+ *
+ * `protocol`:
+ * - json (default): messages are JSON text frames
+ * - msgpack: messages are MessagePack binary frames in both directions. API
+ *   Gateway hands binary frames to the Lambda base64-encoded (`isBase64Encoded`).
+ *
+ * `encoding` (json protocol only):
+ * - json (default): the message as plain JSON
+ * - gzip / deflate: the JSON compressed and sent base64-encoded in an envelope
+ *   { "type": "encoded", "encoding": "gzip", "data": "<base64>" }
+ *
+ * Clients decode the envelope by base64-decoding `data`, inflating it with the
+ * named algorithm and parsing the resulting JSON.
+ */
+
+const zlib = require('zlib');
+const { encode, decode } = require('@msgpack/msgpack');
+const { WebSocketError } = require('./errors');
+
+const ENCODINGS = ['json', 'gzip', 'deflate'];
+const DEFAULT_ENCODING = 'json';
+
+const PROTOCOLS = ['json', 'msgpack'];
+const DEFAULT_PROTOCOL = 'json';
+
+const COMPRESSORS = {
+  gzip: zlib.gzipSync,
+  deflate: zlib.deflateSync
+};
+
+/**
+ * @param {string} [encoding] - Encoding requested by the client
+ * @returns {boolean} Whether the encoding is supported (a missing encoding means the default)
+ */
+const isSupportedEncoding = (encoding) => encoding === undefined || ENCODINGS.includes(encoding);
+
+/**
+ * @param {string} [protocol] - Protocol requested by the client
+ * @returns {boolean} Whether the protocol is supported (a missing protocol means the default)
+ */
+const isSupportedProtocol = (protocol) => protocol === undefined || PROTOCOLS.includes(protocol);
+
+/**
+ * Encodes a message for a connection
+ *
+ * @param {Object} message - Message to send
+ * @param {Object} [format] - Connection's { encoding, protocol } (default plain JSON)
+ * @returns {string|Uint8Array} Frame data; binary for msgpack connections
+ */
+const encodeMessage = (message, { encoding = DEFAULT_ENCODING, protocol = DEFAULT_PROTOCOL } = {}) => {
+  if (protocol === 'msgpack') {
+    // Drop undefined fields the way JSON.stringify does, rather than sending them as nil
+    return encode(message, { ignoreUndefined: true });
+  }
+
+  const json = JSON.stringify(message);
+  const compress = COMPRESSORS[encoding];
+
+  if (!compress) {
+    return json;
+  }
+
+  return JSON.stringify({
+    type: "encoded",
+    encoding,
+    data: compress(json).toString('base64')
+  });
+};
+
+/**
+ * Decodes the body of an inbound message event. Binary (base64) bodies are
+ * MessagePack; text bodies are returned as-is for JSON parsing.
+ *
+ * @param {Object} event - API Gateway WebSocket event
+ * @returns {Object|string} Decoded message, or the raw JSON text
+ * @throws {WebSocketError} INVALID_MESSAGE when a binary body is not valid MessagePack
+ */
+const decodeMessageBody = (event) => {
+  if (!event.isBase64Encoded) {
+    return event.body;
+  }
+
+  try {
+    return decode(Buffer.from(event.body || '', 'base64'));
+  } catch (error) {
+    throw new WebSocketError('INVALID_MESSAGE', 'Binary message body must be valid MessagePack');
+  }
+};
+
+module.exports = {
+  ENCODINGS,
+  DEFAULT_ENCODING,
+  PROTOCOLS,
+  DEFAULT_PROTOCOL,
+  isSupportedEncoding,
+  isSupportedProtocol,
+  encodeMessage,
+  decodeMessageBody
+};
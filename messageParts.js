@@ -0,0 +1,82 @@
+/**
+ * Message Parts Module
+ *
+ * Keeps outgoing messages within API Gateway's frame limit (MAX_FRAME_BYTES).
+ * A `weatherUpdate` too large for one frame is split by location into numbered
+ * parts that share a `messageId` and `sequence`:
+ * { type: "weatherUpdate", data: [...], sequence, messageId, part: 1, parts: 3 }
+ *
+ * Clients reassemble the update by concatenating `data` from parts 1..parts of
+ * the same `messageId`. Other message types are never split.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./requestContext');
+const CONFIG = require('./config');
+
+const byteLength = (value) => Buffer.byteLength(JSON.stringify(value));
+
+/**
+ * Splits a message into frames that fit MAX_FRAME_BYTES
+ *
+ * @param {Object} message - Message to send
+ * @param {number} [maxBytes] - Frame size limit
+ * @returns {Array} The message itself, or its numbered parts
+ */
+const splitMessage = (message, maxBytes = CONFIG.MAX_FRAME_BYTES) => {
+  const size = byteLength(message);
+  if (size <= maxBytes) {
+    return [message];
+  }
+
+  if (message.type !== 'weatherUpdate' || !Array.isArray(message.data) || message.data.length < 2) {
+    logger.warn('Message exceeds frame limit and cannot be split', { type: message.type, size, maxBytes });
+    return [message];
+  }
+
+  const messageId = crypto.randomUUID();
+  // Sized with the largest part numbers a split could produce
+  const envelopeBytes = byteLength({
+    ...message,
+    data: [],
+    messageId,
+    part: message.data.length,
+    parts: message.data.length
+  });
+
+  const chunks = [];
+  let current = [];
+  let currentBytes = envelopeBytes;
+
+  for (const location of message.data) {
+    // One extra byte for the separating comma
+    const locationBytes = byteLength(location) + 1;
+    if (current.length > 0 && currentBytes + locationBytes > maxBytes) {
+      chunks.push(current);
+      current = [];
+      currentBytes = envelopeBytes;
+    }
+    current.push(location);
+    currentBytes += locationBytes;
+  }
+  chunks.push(current);
+
+  logger.info('Split oversized weatherUpdate', {
+    messageId,
+    size,
+    locations: message.data.length,
+    parts: chunks.length
+  });
+
+  return chunks.map((data, index) => ({
+    ...message,
+    data,
+    messageId,
+    part: index + 1,
+    parts: chunks.length
+  }));
+};
+
+module.exports = {
+  splitMessage
+};
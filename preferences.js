@@ -0,0 +1,34 @@
+/**
+ * User Preferences Module
+ *
+ * Resolves the unit system used for weather sent to a connection. A unit system
+ * set on the connection with the `setUnits` action wins over the user's saved
+ * preference, which in turn wins over the default (imperial).
+ */
+
+const { getConnection } = require('./websocket');
+const { getUserUnits } = require('./database');
+const { DEFAULT_UNITS } = require('./dataProcessor');
+
+/**
+ * Resolves the unit system for a connection
+ *
+ * @param {string} userId - User owning the connection
+ * @param {Object|string} [connection] - Connection record, or a connection ID to look up
+ * @returns {string} 'imperial' or 'metric'
+ */
+const resolveUnits = async (userId, connection) => {
+  const record = typeof connection === 'string'
+    ? await getConnection(connection)
+    : connection;
+
+  if (record?.units) {
+    return record.units;
+  }
+
+  return (await getUserUnits(userId)) || DEFAULT_UNITS;
+};
+
+module.exports = {
+  resolveUnits
+};
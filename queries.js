@@ -140,9 +140,241 @@ const queries = {
         FROM user_favorite_locations
         WHERE user_id = ?
             AND location_id = ?
+    `,
+
+    // Forecast Queries
+    // forecast_time and forecast_date are wall-clock values in the location's
+    // timezone, so the caller passes "now" in that timezone rather than relying
+    // on the database server's clock
+    getHourlyForecast: `
+        SELECT
+            location_id,
+            forecast_time,
+            temp_f,
+            temp_c,
+            feelslike_f,
+            feelslike_c,
+            condition_text,
+            condition_code,
+            condition_icon,
+            is_day,
+            humidity,
+            wind_mph,
+            wind_kph,
+            wind_dir,
+            precip_mm,
+            precip_in,
+            chance_of_rain,
+            chance_of_snow,
+            updated_at
+        FROM forecast_hourly
+        WHERE location_id = ?
+            AND forecast_time >= ?
+        ORDER BY forecast_time ASC
+        LIMIT 48
+    `,
+
+    getDailyForecast: `
+        SELECT
+            location_id,
+            forecast_date,
+            maxtemp_f,
+            maxtemp_c,
+            mintemp_f,
+            mintemp_c,
+            avgtemp_f,
+            avgtemp_c,
+            condition_text,
+            condition_code,
+            condition_icon,
+            avghumidity,
+            maxwind_mph,
+            maxwind_kph,
+            totalprecip_mm,
+            totalprecip_in,
+            daily_chance_of_rain,
+            daily_chance_of_snow,
+            uv,
+            sunrise,
+            sunset,
+            updated_at
+        FROM forecast_daily
+        WHERE location_id = ?
+            AND forecast_date >= ?
+        ORDER BY forecast_date ASC
+        LIMIT 10
+    `,
+
+    deleteHourlyForecast: `
+        DELETE FROM forecast_hourly
+        WHERE location_id = ?
+    `,
+
+    deleteDailyForecast: `
+        DELETE FROM forecast_daily
+        WHERE location_id = ?
+    `,
+
+    insertHourlyForecast: `
+        INSERT INTO forecast_hourly
+        (location_id, forecast_time, temp_f, temp_c, feelslike_f, feelslike_c,
+         condition_text, condition_code, condition_icon, is_day, humidity,
+         wind_mph, wind_kph, wind_dir, precip_mm, precip_in,
+         chance_of_rain, chance_of_snow)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+
+    insertDailyForecast: `
+        INSERT INTO forecast_daily
+        (location_id, forecast_date, maxtemp_f, maxtemp_c, mintemp_f, mintemp_c,
+         avgtemp_f, avgtemp_c, condition_text, condition_code, condition_icon,
+         avghumidity, maxwind_mph, maxwind_kph, totalprecip_mm, totalprecip_in,
+         daily_chance_of_rain, daily_chance_of_snow, uv, sunrise, sunset)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+
+    // Rows hold location-local times, which run from UTC-12 to UTC+14; the
+    // margins keep at least a day of history in every timezone
+    cleanupHourlyForecast: `
+        DELETE FROM forecast_hourly
+        WHERE forecast_time < DATE_SUB(UTC_TIMESTAMP(), INTERVAL 36 HOUR)
+    `,
+
+    cleanupDailyForecast: `
+        DELETE FROM forecast_daily
+        WHERE forecast_date < DATE_SUB(UTC_DATE(), INTERVAL 2 DAY)
+    `,
+
+    // Alert Queries
+    insertWeatherAlert: `
+        INSERT IGNORE INTO weather_alerts
+        (alert_id, location_id, headline, event, severity, urgency,
+         areas, description, instruction, effective, expires, source)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+
+    getLocationFavoriteUsers: `
+        SELECT DISTINCT user_id
+        FROM user_favorite_locations
+        WHERE location_id = ?
+    `,
+
+    cleanupExpiredAlerts: `
+        DELETE FROM weather_alerts
+        WHERE expires < DATE_SUB(NOW(), INTERVAL 7 DAY)
+    `,
+
+    // User Preference Queries
+    getUserPreferences: `
+        SELECT user_id, units, updated_at
+        FROM user_preferences
+        WHERE user_id = ?
+    `,
+
+    upsertUserUnits: `
+        INSERT INTO user_preferences (user_id, units, updated_at)
+        VALUES (?, ?, NOW())
+        ON DUPLICATE KEY UPDATE
+            units = VALUES(units),
+            updated_at = NOW()
+    `
+};
+
+const tableQueries = {
+    createWebSocketSubscriptionsTable: `
+        CREATE TABLE IF NOT EXISTS websocket_subscriptions (
+            connection_id VARCHAR(128) NOT NULL,
+            location_id INT NOT NULL,
+            last_active DATETIME NOT NULL,
+            PRIMARY KEY (connection_id, location_id),
+            INDEX idx_last_active (last_active)
+        )
+    `,
+
+    createHourlyForecastTable: `
+        CREATE TABLE IF NOT EXISTS forecast_hourly (
+            location_id INT NOT NULL,
+            forecast_time DATETIME NOT NULL,
+            temp_f DECIMAL(5,1),
+            temp_c DECIMAL(5,1),
+            feelslike_f DECIMAL(5,1),
+            feelslike_c DECIMAL(5,1),
+            condition_text VARCHAR(255),
+            condition_code INT,
+            condition_icon VARCHAR(255),
+            is_day TINYINT(1),
+            humidity INT,
+            wind_mph DECIMAL(5,1),
+            wind_kph DECIMAL(5,1),
+            wind_dir VARCHAR(3),
+            precip_mm DECIMAL(6,2),
+            precip_in DECIMAL(6,2),
+            chance_of_rain INT,
+            chance_of_snow INT,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (location_id, forecast_time)
+        )
+    `,
+
+    createDailyForecastTable: `
+        CREATE TABLE IF NOT EXISTS forecast_daily (
+            location_id INT NOT NULL,
+            forecast_date DATE NOT NULL,
+            maxtemp_f DECIMAL(5,1),
+            maxtemp_c DECIMAL(5,1),
+            mintemp_f DECIMAL(5,1),
+            mintemp_c DECIMAL(5,1),
+            avgtemp_f DECIMAL(5,1),
+            avgtemp_c DECIMAL(5,1),
+            condition_text VARCHAR(255),
+            condition_code INT,
+            condition_icon VARCHAR(255),
+            avghumidity INT,
+            maxwind_mph DECIMAL(5,1),
+            maxwind_kph DECIMAL(5,1),
+            totalprecip_mm DECIMAL(6,2),
+            totalprecip_in DECIMAL(6,2),
+            daily_chance_of_rain INT,
+            daily_chance_of_snow INT,
+            uv DECIMAL(4,1),
+            sunrise VARCHAR(16),
+            sunset VARCHAR(16),
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (location_id, forecast_date)
+        )
+    `,
+
+    createWeatherAlertsTable: `
+        CREATE TABLE IF NOT EXISTS weather_alerts (
+            alert_id CHAR(40) NOT NULL,
+            location_id INT NOT NULL,
+            headline VARCHAR(512),
+            event VARCHAR(255),
+            severity VARCHAR(32),
+            urgency VARCHAR(32),
+            areas TEXT,
+            description TEXT,
+            instruction TEXT,
+            effective DATETIME,
+            expires DATETIME,
+            source VARCHAR(32),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (alert_id),
+            INDEX idx_location_expires (location_id, expires)
+        )
+    `,
+
+    createUserPreferencesTable: `
+        CREATE TABLE IF NOT EXISTS user_preferences (
+            user_id INT NOT NULL,
+            units ENUM('imperial', 'metric') NOT NULL DEFAULT 'imperial',
+            updated_at DATETIME NOT NULL,
+            PRIMARY KEY (user_id)
+        )
     `
 };
 
 module.exports = {
-    queries
+    queries,
+    tableQueries
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * Stale Connection Reaper
+ *
+ * Removes connections that API Gateway no longer has. Connections normally
+ * leave the table on $disconnect, but a missed disconnect leaves a row behind
+ * until a send happens to get a 410 or its TTL passes. The reaper probes every
+ * live connection with GetConnection and deletes the rows of gone ones.
+ * Runs on its own schedule (reaperHandler).
+ */
+
+const { logger } = require('./requestContext');
+const { getLiveConnectionsPage, isConnectionAlive, removeConnection } = require('./websocket');
+const { mapWithConcurrency } = require('./fanOut');
+
+// Probes a connection and removes its row when it is gone; returns whether it was removed
+const reapConnection = async (connectionId) => {
+  if (await isConnectionAlive(connectionId)) {
+    return false;
+  }
+
+  logger.info('Removing stale connection', { connectionId });
+  await removeConnection(connectionId);
+  return true;
+};
+
+/**
+ * Probes every live connection, one page of the connections table at a time,
+ * and removes the ones API Gateway reports gone
+ *
+ * @returns {Object} Summary: { checked, removed, errors }
+ */
+const reapStaleConnections = async () => {
+  const summary = { checked: 0, removed: 0, errors: 0 };
+  let nextKey;
+
+  do {
+    const page = await getLiveConnectionsPage(nextKey);
+    nextKey = page.nextKey;
+    summary.checked += page.connections.length;
+
+    const results = await mapWithConcurrency(
+      page.connections,
+      connection => reapConnection(connection.connectionId)
+    );
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        summary.errors++;
+        logger.error('Failed to reap connection', {
+          connectionId: page.connections[index].connectionId,
+          error: result.reason?.message
+        });
+      } else if (result.value) {
+        summary.removed++;
+      }
+    });
+  } while (nextKey);
+
+  return summary;
+};
+
+module.exports = {
+  reapStaleConnections
+};
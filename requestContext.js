@@ -0,0 +1,85 @@
+/**
+ * Request Context Module
+ *
+ * Carries the correlation ID of the current invocation through async calls so
+ * every log line and every reply to the calling connection can be traced back
+ * to the client request that caused it.
+ *
+ * Modules log through the `logger` exported here, which adds the current
+ * `requestId` to the details of each log call.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { logger: baseLogger } = require('@bradbunce/launchdarkly-lambda-logger');
+const { decodeMessageBody } = require('./messageEncoding');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function with a request context available to everything it awaits
+ *
+ * @param {Object} context - { requestId, connectionId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * @returns {Object|undefined} Context of the current invocation, if any
+ */
+const getRequestContext = () => storage.getStore();
+
+/**
+ * Picks the correlation ID for a WebSocket event: the client's `requestId` when
+ * it sent one, otherwise the API Gateway request ID, otherwise a new UUID
+ *
+ * @param {Object} event - API Gateway WebSocket event
+ * @returns {string} Correlation ID
+ */
+const resolveRequestId = (event) => {
+  try {
+    // Binary frames carry MessagePack; text frames carry JSON
+    const body = decodeMessageBody(event);
+    const { requestId } = (typeof body === 'string' ? JSON.parse(body || '{}') : body) || {};
+    if (typeof requestId === 'string' && requestId.length > 0) {
+      return requestId;
+    }
+  } catch (error) {
+    // Malformed bodies are reported by validation; fall back to a generated ID
+  }
+
+  return event.requestContext?.requestId || crypto.randomUUID();
+};
+
+// Add the current requestId to a log call's details
+const withRequestId = (details) => {
+  const requestId = getRequestContext()?.requestId;
+  if (!requestId) {
+    return details;
+  }
+  if (details === undefined) {
+    return { requestId };
+  }
+  if (details !== null && typeof details === 'object' && !Array.isArray(details)) {
+    return { ...details, requestId };
+  }
+  return { details, requestId };
+};
+
+const logger = {
+  trace: (message, details) => baseLogger.trace(message, withRequestId(details)),
+  debug: (message, details) => baseLogger.debug(message, withRequestId(details)),
+  info: (message, details) => baseLogger.info(message, withRequestId(details)),
+  warn: (message, details) => baseLogger.warn(message, withRequestId(details)),
+  error: (message, details) => baseLogger.error(message, withRequestId(details)),
+  initialize: (...args) => baseLogger.initialize(...args),
+  close: (...args) => baseLogger.close(...args)
+};
+
+module.exports = {
+  runWithRequestContext,
+  getRequestContext,
+  resolveRequestId,
+  logger
+};
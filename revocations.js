@@ -0,0 +1,162 @@
+/**
+ * Token Revocation Module
+ *
+ * Stores revoked tokens in DynamoDB so a token that was logged out cannot be
+ * used again before it expires. Two kinds of entries share the table, keyed by
+ * `revocationKey`:
+ * - `jti#<jti>`: a single revoked token
+ * - `user#<userId>`: every token of the user issued before `revokedBefore`
+ *
+ * DynamoDB removes entries at their `ttl`, once the tokens they cover can no
+ * longer be used anyway: a `jti#` entry at its token's expiry, a `user#` entry
+ * once every token issued before `revokedBefore` has expired
+ * (JWT_MAX_TOKEN_LIFETIME_SECONDS).
+ * Revocation checks are skipped when REVOCATIONS_TABLE is not configured.
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, BatchGetCommand, PutCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { logger } = require('./requestContext');
+const CONFIG = require('./config');
+
+const client = new DynamoDBClient({
+  maxAttempts: 3,
+  requestTimeout: 5000
+});
+const dynamo = DynamoDBDocumentClient.from(client, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+  }
+});
+
+const jtiKey = (jti) => `jti#${jti}`;
+const userKey = (userId) => `user#${userId}`;
+
+// Tokens without an `exp` are kept revoked for as long as a connection can live
+const revocationTTL = (claims) => claims.exp ||
+  Math.floor(Date.now() / 1000) + (CONFIG.CONNECTION_TTL_HOURS * 60 * 60);
+
+/**
+ * Revokes a single token by its `jti`. A token without a `jti` can't be revoked
+ * on its own, so every token of the user issued until now is revoked instead.
+ *
+ * @param {Object} claims - Verified token claims (jti, exp, userId)
+ */
+const revokeToken = async (claims) => {
+  if (!CONFIG.REVOCATIONS_TABLE) {
+    return;
+  }
+
+  if (!claims.jti) {
+    logger.warn('Token has no jti, revoking all of the user\'s tokens', { userId: claims.userId });
+    await revokeUserTokens(claims);
+    return;
+  }
+
+  await dynamo.send(new PutCommand({
+    TableName: CONFIG.REVOCATIONS_TABLE,
+    Item: {
+      revocationKey: jtiKey(claims.jti),
+      userId: String(claims.userId),
+      revokedAt: Math.floor(Date.now() / 1000),
+      ttl: revocationTTL(claims)
+    }
+  }));
+
+  logger.info('Token revoked', { userId: claims.userId, jti: claims.jti });
+};
+
+/**
+ * Revokes every token of a user issued before now. Any of those tokens may
+ * still be valid for up to JWT_MAX_TOKEN_LIFETIME_SECONDS, whatever the expiry
+ * of the token that asked for the revocation, so the entry lives at least that long.
+ *
+ * @param {Object} claims - Verified token claims (userId, exp)
+ */
+const revokeUserTokens = async (claims) => {
+  if (!CONFIG.REVOCATIONS_TABLE) {
+    return;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const ttl = Math.max(
+    now + CONFIG.JWT_MAX_TOKEN_LIFETIME_SECONDS + CONFIG.JWT_CLOCK_TOLERANCE_SECONDS,
+    revocationTTL(claims)
+  );
+
+  await dynamo.send(new UpdateCommand({
+    TableName: CONFIG.REVOCATIONS_TABLE,
+    Key: { revocationKey: userKey(claims.userId) },
+    UpdateExpression: 'SET revokedBefore = :now, userId = :userId, #ttlAttribute = if_not_exists(#ttlAttribute, :ttl)',
+    ExpressionAttributeNames: {
+      '#ttlAttribute': 'ttl'
+    },
+    ExpressionAttributeValues: {
+      ':now': now,
+      ':userId': String(claims.userId),
+      ':ttl': ttl
+    }
+  }));
+
+  // Extend the entry written by an earlier revocation
+  try {
+    await dynamo.send(new UpdateCommand({
+      TableName: CONFIG.REVOCATIONS_TABLE,
+      Key: { revocationKey: userKey(claims.userId) },
+      UpdateExpression: 'SET #ttlAttribute = :ttl',
+      ConditionExpression: '#ttlAttribute < :ttl',
+      ExpressionAttributeNames: {
+        '#ttlAttribute': 'ttl'
+      },
+      ExpressionAttributeValues: {
+        ':ttl': ttl
+      }
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  logger.info('User tokens revoked', { userId: claims.userId, revokedBefore: now });
+};
+
+/**
+ * Checks whether a verified token has been revoked, either by its `jti` or by
+ * a user-wide revocation issued after the token
+ *
+ * @param {Object} claims - Verified token claims (jti, iat, userId)
+ * @returns {boolean} Whether the token is revoked
+ */
+const isTokenRevoked = async (claims) => {
+  if (!CONFIG.REVOCATIONS_TABLE) {
+    return false;
+  }
+
+  const keys = [{ revocationKey: userKey(claims.userId) }];
+  if (claims.jti) {
+    keys.push({ revocationKey: jtiKey(claims.jti) });
+  }
+
+  const { Responses } = await dynamo.send(new BatchGetCommand({
+    RequestItems: {
+      [CONFIG.REVOCATIONS_TABLE]: { Keys: keys }
+    }
+  }));
+
+  const now = Math.floor(Date.now() / 1000);
+  // TTL deletion lags, so entries past their ttl are ignored here
+  const entries = (Responses?.[CONFIG.REVOCATIONS_TABLE] || [])
+    .filter(entry => !entry.ttl || entry.ttl > now);
+
+  return entries.some(entry => (
+    (claims.jti && entry.revocationKey === jtiKey(claims.jti)) ||
+    (entry.revokedBefore !== undefined && claims.iat !== undefined && claims.iat < entry.revokedBefore)
+  ));
+};
+
+module.exports = {
+  revokeToken,
+  revokeUserTokens,
+  isTokenRevoked
+};
@@ -0,0 +1,125 @@
+/**
+ * Route Controls Module
+ *
+ * Lets operators switch off individual actions, or the whole service, from
+ * LaunchDarkly without a deploy. The JSON flag named by
+ * LD_ROUTE_CONTROLS_FLAG_KEY is evaluated before dispatch with the invocation's
+ * multi-context, so it can target specific users or environments:
+ * {
+ *   "disabledActions": ["getWeather", "subscribe"],
+ *   "maintenance": { "enabled": true, "message": "Back soon", "retryAfterSeconds": 300 }
+ * }
+ *
+ * - disabledActions: messages for these actions are rejected with FEATURE_DISABLED
+ * - maintenance: $connect is refused with 503 and a Retry-After hint, and every
+ *   action on already open connections is rejected with FEATURE_DISABLED
+ *
+ * $disconnect is never blocked. Without the flag, or when it can't be
+ * evaluated, every route is open.
+ */
+
+const { logger } = require('./requestContext');
+const { WebSocketError } = require('./errors');
+const CONFIG = require('./config');
+
+const DEFAULT_MAINTENANCE_MESSAGE = 'The service is down for maintenance. Please try again later.';
+const DEFAULT_RETRY_AFTER_SECONDS = 300;
+
+const OPEN_ROUTES = Object.freeze({ disabledActions: [], maintenance: null });
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Reads the flag value defensively; a malformed value must not take the service down
+const normalizeControls = (value) => {
+  if (!isObject(value)) {
+    return OPEN_ROUTES;
+  }
+
+  const disabledActions = Array.isArray(value.disabledActions)
+    ? value.disabledActions.filter(action => typeof action === 'string')
+    : [];
+
+  const { maintenance } = value;
+  if (!isObject(maintenance) || maintenance.enabled !== true) {
+    return { disabledActions, maintenance: null };
+  }
+
+  const retryAfterSeconds = Number.isInteger(maintenance.retryAfterSeconds) && maintenance.retryAfterSeconds > 0
+    ? maintenance.retryAfterSeconds
+    : DEFAULT_RETRY_AFTER_SECONDS;
+
+  return {
+    disabledActions,
+    maintenance: {
+      message: typeof maintenance.message === 'string' && maintenance.message
+        ? maintenance.message
+        : DEFAULT_MAINTENANCE_MESSAGE,
+      retryAfterSeconds
+    }
+  };
+};
+
+/**
+ * Evaluates the route controls flag
+ *
+ * @param {Object} [ldClient] - LaunchDarkly client (routes are open without one)
+ * @param {Object} [context] - Multi-context of the invocation
+ * @returns {Object} { disabledActions, maintenance: { message, retryAfterSeconds } or null }
+ */
+const getRouteControls = async (ldClient, context) => {
+  if (!CONFIG.ROUTE_CONTROLS_FLAG_KEY || !ldClient || !context) {
+    return OPEN_ROUTES;
+  }
+
+  try {
+    return normalizeControls(await ldClient.variation(CONFIG.ROUTE_CONTROLS_FLAG_KEY, context, {}));
+  } catch (error) {
+    logger.warn('Failed to evaluate route controls, leaving routes open', { error: error.message });
+    return OPEN_ROUTES;
+  }
+};
+
+/**
+ * Rejects an action that is switched off
+ *
+ * @param {string} action - Action of the inbound message
+ * @param {Object} controls - Result of getRouteControls
+ * @throws {WebSocketError} FEATURE_DISABLED during maintenance or when the action is disabled
+ */
+const assertActionEnabled = (action, controls) => {
+  if (controls.maintenance) {
+    throw new WebSocketError('FEATURE_DISABLED', controls.maintenance.message, {
+      field: 'action',
+      statusCode: 503
+    });
+  }
+
+  if (controls.disabledActions.includes(action)) {
+    throw new WebSocketError('FEATURE_DISABLED', `Action "${action}" is temporarily disabled`, {
+      field: 'action',
+      statusCode: 503
+    });
+  }
+};
+
+/**
+ * Builds the $connect response that refuses a connection during maintenance
+ *
+ * @param {Object} maintenance - { message, retryAfterSeconds } from getRouteControls
+ * @returns {Object} 503 response with a Retry-After header
+ */
+const createMaintenanceResponse = ({ message, retryAfterSeconds }) => ({
+  statusCode: 503,
+  headers: { 'Retry-After': String(retryAfterSeconds) },
+  body: JSON.stringify({
+    message,
+    code: 'MAINTENANCE',
+    retryAfterSeconds
+  })
+});
+
+module.exports = {
+  getRouteControls,
+  assertActionEnabled,
+  createMaintenanceResponse
+};
@@ -0,0 +1,59 @@
+/**
+ * Timezone Module
+ *
+ * The weather provider reports times as wall-clock time in each location's
+ * timezone ("2024-01-27 10:15"), and that is how they are stored. These helpers
+ * convert between those values and instants using the location's IANA `tz_id`,
+ * so comparisons don't depend on the clock of the Lambda or the database server.
+ */
+
+/**
+ * Offset of a timezone from UTC at an instant
+ *
+ * @param {string} timezone - IANA timezone, e.g. "Europe/London"
+ * @param {number} epochMs - Instant in epoch milliseconds
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ * @throws {RangeError} For unknown timezone names
+ */
+const getTimezoneOffsetMs = (timezone, epochMs) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(epochMs));
+  const part = (type) => Number(parts.find(entry => entry.type === type).value);
+
+  return Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second')) - epochMs;
+};
+
+/**
+ * Formats an instant as wall-clock time in a location's timezone, in the
+ * "YYYY-MM-DD HH:mm:ss" form stored in DATETIME columns
+ *
+ * @param {number} epochMs - Instant in epoch milliseconds
+ * @param {string} [timezone] - IANA timezone of the location (UTC when missing or unknown)
+ * @returns {string} Local date and time
+ */
+const formatLocalDateTime = (epochMs, timezone) => {
+  let offsetMs = 0;
+
+  if (timezone) {
+    try {
+      offsetMs = getTimezoneOffsetMs(timezone, epochMs);
+    } catch (error) {
+      // Unknown timezone names throw a RangeError; fall back to UTC
+    }
+  }
+
+  return new Date(epochMs + offsetMs).toISOString().slice(0, 19).replace('T', ' ');
+};
+
+module.exports = {
+  getTimezoneOffsetMs,
+  formatLocalDateTime
+};
@@ -0,0 +1,65 @@
+/**
+ * Token Expiry Module
+ *
+ * Warns clients before the token that authenticated their connection expires so
+ * they can send `reauthenticate` with a fresh token instead of reconnecting.
+ * Runs on the scheduled handler; each token is warned about at most once.
+ */
+
+const { logger } = require('./requestContext');
+const CONFIG = require('./config');
+const {
+  getExpiringConnections,
+  markExpiryWarningSent,
+  sendMessageToClient
+} = require('./websocket');
+
+/**
+ * Builds the tokenExpiring message for a token expiry
+ *
+ * @param {number} authExpiresAt - Token expiry in epoch seconds
+ * @returns {Object} tokenExpiring message payload
+ */
+const createTokenExpiringMessage = (authExpiresAt) => ({
+  type: "tokenExpiring",
+  expiresAt: new Date(authExpiresAt * 1000).toISOString(),
+  expiresInSeconds: Math.max(0, authExpiresAt - Math.floor(Date.now() / 1000)),
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Sends a tokenExpiring warning to every connection whose token expires within
+ * TOKEN_EXPIRY_WARNING_SECONDS
+ *
+ * @returns {Object} Summary: { expiring, warned }
+ */
+const sendTokenExpiringWarnings = async () => {
+  const connections = await getExpiringConnections(CONFIG.TOKEN_EXPIRY_WARNING_SECONDS);
+  let warned = 0;
+
+  for (const connection of connections) {
+    try {
+      const sent = await sendMessageToClient(
+        connection.connectionId,
+        createTokenExpiringMessage(connection.authExpiresAt)
+      );
+
+      if (sent) {
+        await markExpiryWarningSent(connection.connectionId);
+        warned++;
+      }
+    } catch (error) {
+      logger.error('Failed to send token expiry warning', {
+        connectionId: connection.connectionId,
+        error: error.message
+      });
+    }
+  }
+
+  return { expiring: connections.length, warned };
+};
+
+module.exports = {
+  createTokenExpiringMessage,
+  sendTokenExpiringWarnings
+};
@@ -0,0 +1,208 @@
+/**
+ * Inbound Message Validation Module
+ *
+ * Declares the schema for each inbound action and validates messages before
+ * they are dispatched. Named routes (getWeather, locationUpdate) use the route
+ * key as the action; everything on $default uses the message's `action` field.
+ *
+ * Field schema options:
+ * - type: 'string' | 'id' (non-empty string or integer) | 'integer' | 'boolean' | 'array' | 'object'
+ * - required: field must be present
+ * - items: type of each element for arrays
+ * - minItems: minimum array length
+ * - enum: allowed values
+ * - missingCode: error code to use when a required field is absent
+ */
+
+const { WebSocketError } = require('./errors');
+
+const token = { type: 'string', required: true, missingCode: 'NO_TOKEN' };
+
+// Fields accepted on every action
+const commonFields = {
+  requestId: { type: 'string' }
+};
+
+const schemas = {
+  getWeather: {
+    token,
+    locations: { type: 'array', items: 'id' }
+  },
+  locationUpdate: {
+    token,
+    locationId: { type: 'id' }
+  },
+  subscribe: {
+    token,
+    locationId: { type: 'id' },
+    locationIds: { type: 'array', items: 'id', minItems: 1 }
+  },
+  unsubscribe: {
+    token,
+    locationId: { type: 'id' },
+    locationIds: { type: 'array', items: 'id' }
+  },
+  listSubscriptions: {
+    token
+  },
+  logout: {
+    token,
+    currentSessionOnly: { type: 'boolean' }
+  },
+  reauthenticate: {
+    token
+  },
+  announce: {
+    token,
+    message: { type: 'string', required: true },
+    severity: { type: 'string', enum: ['info', 'warning', 'critical'] },
+    expiresAt: { type: 'string' }
+  },
+  addLocation: {
+    token,
+    locationId: { type: 'id', required: true }
+  },
+  removeLocation: {
+    token,
+    locationId: { type: 'id', required: true }
+  },
+  reorderLocations: {
+    token,
+    locationIds: { type: 'array', items: 'id', required: true, minItems: 1 }
+  },
+  getForecast: {
+    token,
+    locationId: { type: 'id' }
+  },
+  setUnits: {
+    token,
+    units: { type: 'string', required: true, enum: ['imperial', 'metric'] },
+    persist: { type: 'boolean' }
+  },
+  resync: {
+    token,
+    lastSequence: { type: 'integer' }
+  }
+};
+
+const isOfType = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.length > 0;
+    case 'id':
+      return (typeof value === 'string' && value.length > 0) || Number.isInteger(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Validates a parsed message against an action schema
+ *
+ * @param {Object} message - Parsed message body
+ * @param {Object} schema - Field schemas keyed by field name
+ * @throws {WebSocketError} MISSING_FIELD (or the field's missingCode) or INVALID_FIELD
+ */
+const validateFields = (message, schema) => {
+  for (const [field, rules] of Object.entries(schema)) {
+    const value = message[field];
+
+    if (value === undefined || value === null) {
+      if (rules.required) {
+        throw new WebSocketError(
+          rules.missingCode || 'MISSING_FIELD',
+          `Field "${field}" is required`,
+          { field, statusCode: rules.missingCode === 'NO_TOKEN' ? 401 : 400 }
+        );
+      }
+      continue;
+    }
+
+    if (!isOfType(value, rules.type)) {
+      throw new WebSocketError('INVALID_FIELD', `Field "${field}" must be of type ${rules.type}`, { field });
+    }
+
+    if (rules.enum && !rules.enum.includes(value)) {
+      throw new WebSocketError(
+        'INVALID_FIELD',
+        `Field "${field}" must be one of: ${rules.enum.join(', ')}`,
+        { field }
+      );
+    }
+
+    if (rules.type === 'array') {
+      if (rules.minItems && value.length < rules.minItems) {
+        throw new WebSocketError(
+          'INVALID_FIELD',
+          `Field "${field}" must contain at least ${rules.minItems} item(s)`,
+          { field }
+        );
+      }
+
+      const invalidIndex = rules.items ? value.findIndex(item => !isOfType(item, rules.items)) : -1;
+      if (invalidIndex !== -1) {
+        throw new WebSocketError(
+          'INVALID_FIELD',
+          `Field "${field}[${invalidIndex}]" must be of type ${rules.items}`,
+          { field: `${field}[${invalidIndex}]` }
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Parses and validates the body of an inbound WebSocket message
+ *
+ * @param {string} routeKey - API Gateway route key
+ * @param {string|Object} body - Raw JSON body, or a message already decoded from MessagePack
+ * @returns {Object} Parsed message with `action` set
+ * @throws {WebSocketError} INVALID_JSON, MISSING_FIELD, INVALID_FIELD or UNKNOWN_ACTION
+ */
+const parseMessage = (routeKey, body) => {
+  const decoded = body !== null && typeof body === 'object';
+  let message = body;
+
+  if (!decoded) {
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      throw new WebSocketError('INVALID_JSON', 'Message body must be valid JSON');
+    }
+  }
+
+  if (!isOfType(message, 'object')) {
+    throw decoded
+      ? new WebSocketError('INVALID_MESSAGE', 'Message body must be a map')
+      : new WebSocketError('INVALID_JSON', 'Message body must be a JSON object');
+  }
+
+  const action = routeKey === '$default' ? message.action : routeKey;
+
+  if (!action) {
+    throw new WebSocketError('MISSING_FIELD', 'Field "action" is required', { field: 'action' });
+  }
+
+  const schema = schemas[action];
+  if (!schema) {
+    throw new WebSocketError('UNKNOWN_ACTION', `Unknown action: ${action}`, { field: 'action' });
+  }
+
+  validateFields(message, { ...commonFields, ...schema });
+
+  return { ...message, action };
+};
+
+module.exports = {
+  schemas,
+  validateFields,
+  parseMessage
+};
@@ -0,0 +1,191 @@
+/**
+ * Weather Delta Module
+ *
+ * Tracks the last weather payload sent to each connection so pushes can carry
+ * only what changed. Every weather message sent through this module carries a
+ * per-connection sequence number; a client that sees a gap in the sequence asks
+ * for a full snapshot with the `resync` action.
+ *
+ * Message types:
+ * - weatherUpdate: full snapshot of the locations sent ({ data, sequence })
+ * - weatherDelta: changed locations/fields only ({ changes, sequence })
+ *
+ * Snapshots larger than MAX_SNAPSHOT_BYTES are not stored, so the next push to
+ * that connection is a full weatherUpdate instead of a delta.
+ */
+
+const CONFIG = require('./config');
+const { logger } = require('./requestContext');
+const { sendMessageToClient, recordConnectionSnapshot } = require('./websocket');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Deep comparison that ignores key order, which DynamoDB does not preserve for maps
+const isEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((value, index) => isEqual(value, b[index]));
+  }
+
+  if (isObject(a) && isObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => isEqual(a[key], b[key]));
+  }
+
+  return false;
+};
+
+/**
+ * Builds a snapshot keyed by location ID from processed weather data
+ *
+ * @param {Array} data - Processed weather data from processWeatherData
+ * @returns {Object} Map of location ID (as string) to processed location entry
+ */
+const createSnapshot = (data) => Object.fromEntries(
+  data.map(location => [String(location.id), location])
+);
+
+// Returns only the fields of `next` that differ from `previous`, one level deep into objects
+const diffLocation = (previous, next) => {
+  const changed = {};
+
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  for (const key of keys) {
+    if (key === 'id' || isEqual(previous[key], next[key])) {
+      continue;
+    }
+
+    if (isObject(previous[key]) && isObject(next[key])) {
+      const nested = {};
+      const nestedKeys = new Set([...Object.keys(previous[key]), ...Object.keys(next[key])]);
+      for (const nestedKey of nestedKeys) {
+        if (!isEqual(previous[key][nestedKey], next[key][nestedKey])) {
+          // Fields that disappeared are sent as null so the client can clear them
+          nested[nestedKey] = next[key][nestedKey] === undefined ? null : next[key][nestedKey];
+        }
+      }
+      if (Object.keys(nested).length > 0) {
+        changed[key] = nested;
+      }
+    } else {
+      changed[key] = next[key] === undefined ? null : next[key];
+    }
+  }
+
+  return changed;
+};
+
+/**
+ * Computes the changes between the last snapshot sent and new weather data
+ *
+ * @param {Object} previousSnapshot - Snapshot from createSnapshot
+ * @param {Array} data - Processed weather data from processWeatherData
+ * @returns {Array} Changed locations; new locations are included in full, others
+ *                  as { id, ...changedFields }
+ */
+const computeWeatherDelta = (previousSnapshot = {}, data) => {
+  const changes = [];
+
+  for (const location of data) {
+    const previous = previousSnapshot[String(location.id)];
+    if (!previous) {
+      changes.push(location);
+      continue;
+    }
+
+    const changed = diffLocation(previous, location);
+    if (Object.keys(changed).length > 0) {
+      changes.push({ id: location.id, ...changed });
+    }
+  }
+
+  return changes;
+};
+
+// Records the snapshot as the connection's baseline, or clears the baseline when it is too large to store
+const recordSnapshot = (connectionId, snapshot) => {
+  const bytes = Buffer.byteLength(JSON.stringify(snapshot));
+
+  if (bytes > CONFIG.MAX_SNAPSHOT_BYTES) {
+    logger.warn('Weather snapshot too large to store, next push will be a full update', {
+      connectionId,
+      bytes,
+      maxBytes: CONFIG.MAX_SNAPSHOT_BYTES
+    });
+    return recordConnectionSnapshot(connectionId, null);
+  }
+
+  return recordConnectionSnapshot(connectionId, snapshot);
+};
+
+/**
+ * Sends a full weatherUpdate snapshot and records it as the connection's baseline
+ *
+ * @param {string} connectionId - WebSocket connection ID
+ * @param {Array} data - Processed weather data
+ * @returns {boolean} Whether the message was delivered (false when the connection is gone)
+ */
+const sendWeatherSnapshot = async (connectionId, data) => {
+  const sequence = await recordSnapshot(connectionId, createSnapshot(data));
+
+  // The connection was removed while the data was being prepared
+  if (sequence === null) {
+    return false;
+  }
+
+  return sendMessageToClient(connectionId, {
+    type: "weatherUpdate",
+    data,
+    sequence,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Sends only what changed since the connection's last snapshot. Falls back to a
+ * full snapshot when the connection has no baseline yet.
+ *
+ * @param {Object} connection - Connection record (connectionId, lastSnapshot)
+ * @param {Array} data - Processed weather data for some or all of the connection's locations
+ * @returns {boolean} Whether a message was delivered (false when nothing changed)
+ */
+const sendWeatherChanges = async (connection, data) => {
+  const { connectionId, lastSnapshot } = connection;
+
+  if (!lastSnapshot) {
+    return sendWeatherSnapshot(connectionId, data);
+  }
+
+  const changes = computeWeatherDelta(lastSnapshot, data);
+  if (changes.length === 0) {
+    logger.debug('No weather changes to send', { connectionId });
+    return false;
+  }
+
+  const sequence = await recordSnapshot(connectionId, {
+    ...lastSnapshot,
+    ...createSnapshot(data)
+  });
+
+  if (sequence === null) {
+    return false;
+  }
+
+  return sendMessageToClient(connectionId, {
+    type: "weatherDelta",
+    changes,
+    sequence,
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  createSnapshot,
+  computeWeatherDelta,
+  sendWeatherSnapshot,
+  sendWeatherChanges
+};
@@ -0,0 +1,269 @@
+/**
+ * Weather Provider Module
+ *
+ * Fetches current conditions and forecasts from WeatherAPI.com (or a compatible
+ * stub server) and maps them onto the weather_cache and forecast tables.
+ *
+ * Features:
+ * - Configurable base URL and request timeout
+ * - Per-location error handling so one failure doesn't block a batch
+ * - Classified provider errors (not found, auth, rate limit, timeout)
+ */
+
+const axios = require('axios');
+const { logger } = require('./requestContext');
+const CONFIG = require('./config');
+
+// WeatherAPI.com error codes returned in the response body
+const PROVIDER_ERROR_CODES = {
+  1006: 'LOCATION_NOT_FOUND',
+  2006: 'PROVIDER_UNAUTHORIZED',
+  2007: 'PROVIDER_RATE_LIMITED',
+  2008: 'PROVIDER_UNAUTHORIZED'
+};
+
+// Build an Error carrying a code the caller can act on
+const createProviderError = (error, location) => {
+  const providerError = error.response?.data?.error;
+  const status = error.response?.status;
+
+  let code = 'PROVIDER_ERROR';
+  if (providerError && PROVIDER_ERROR_CODES[providerError.code]) {
+    code = PROVIDER_ERROR_CODES[providerError.code];
+  } else if (status === 401 || status === 403) {
+    code = 'PROVIDER_UNAUTHORIZED';
+  } else if (status === 429) {
+    code = 'PROVIDER_RATE_LIMITED';
+  } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    code = 'PROVIDER_TIMEOUT';
+  }
+
+  const wrapped = new Error(`Weather provider request failed: ${providerError?.message || error.message}`);
+  wrapped.code = code;
+  wrapped.status = status;
+  wrapped.locationId = location.location_id;
+  return wrapped;
+};
+
+/**
+ * Maps a WeatherAPI.com `current` block onto weather_cache columns
+ *
+ * @param {Object} current - `current` object from the provider response
+ * @returns {Object} weather_cache row (without location_id)
+ */
+const mapToWeatherCache = (current) => ({
+  temp_f: current.temp_f,
+  condition_text: current.condition?.text,
+  condition_code: current.condition?.code,
+  condition_icon: current.condition?.icon,
+  humidity: current.humidity,
+  is_day: current.is_day,
+  wind_mph: current.wind_mph,
+  wind_kph: current.wind_kph,
+  wind_degree: current.wind_degree,
+  wind_dir: current.wind_dir,
+  gust_mph: current.gust_mph,
+  gust_kph: current.gust_kph,
+  feelslike_f: current.feelslike_f,
+  pressure_mb: current.pressure_mb,
+  pressure_in: current.pressure_in,
+  precip_mm: current.precip_mm,
+  precip_in: current.precip_in,
+  cloud: current.cloud,
+  vis_km: current.vis_km,
+  vis_miles: current.vis_miles,
+  uv: current.uv,
+  last_updated: current.last_updated
+});
+
+/**
+ * Maps a WeatherAPI.com `forecast` block onto forecast_hourly and forecast_daily rows
+ *
+ * @param {Object} forecast - `forecast` object from the provider response
+ * @param {number} [now] - Current time in epoch milliseconds; earlier hours are dropped
+ * @returns {Object} { hourly, daily } rows (without location_id)
+ */
+const mapToForecastCache = (forecast, now = Date.now()) => {
+  const forecastDays = forecast?.forecastday || [];
+
+  // Keep the current hour so a client always has a "now" entry
+  const fromEpoch = Math.floor(now / 1000) - 3600;
+  const hourly = forecastDays
+    .flatMap(day => day.hour || [])
+    .filter(hour => hour.time_epoch >= fromEpoch)
+    .slice(0, CONFIG.FORECAST_HOURS)
+    .map(hour => ({
+      forecast_time: hour.time,
+      temp_f: hour.temp_f,
+      temp_c: hour.temp_c,
+      feelslike_f: hour.feelslike_f,
+      feelslike_c: hour.feelslike_c,
+      condition_text: hour.condition?.text,
+      condition_code: hour.condition?.code,
+      condition_icon: hour.condition?.icon,
+      is_day: hour.is_day,
+      humidity: hour.humidity,
+      wind_mph: hour.wind_mph,
+      wind_kph: hour.wind_kph,
+      wind_dir: hour.wind_dir,
+      precip_mm: hour.precip_mm,
+      precip_in: hour.precip_in,
+      chance_of_rain: hour.chance_of_rain,
+      chance_of_snow: hour.chance_of_snow
+    }));
+
+  const daily = forecastDays.map(({ date, day, astro }) => ({
+    forecast_date: date,
+    maxtemp_f: day.maxtemp_f,
+    maxtemp_c: day.maxtemp_c,
+    mintemp_f: day.mintemp_f,
+    mintemp_c: day.mintemp_c,
+    avgtemp_f: day.avgtemp_f,
+    avgtemp_c: day.avgtemp_c,
+    condition_text: day.condition?.text,
+    condition_code: day.condition?.code,
+    condition_icon: day.condition?.icon,
+    avghumidity: day.avghumidity,
+    maxwind_mph: day.maxwind_mph,
+    maxwind_kph: day.maxwind_kph,
+    totalprecip_mm: day.totalprecip_mm,
+    totalprecip_in: day.totalprecip_in,
+    daily_chance_of_rain: day.daily_chance_of_rain,
+    daily_chance_of_snow: day.daily_chance_of_snow,
+    uv: day.uv,
+    sunrise: astro?.sunrise,
+    sunset: astro?.sunset
+  }));
+
+  return { hourly, daily };
+};
+
+// Request a provider endpoint for a location's coordinates
+const requestProvider = async (endpoint, location, params = {}) => {
+  if (!process.env.WEATHER_API_KEY) {
+    logger.error('Weather provider configuration error: WEATHER_API_KEY is not set');
+    throw new Error('Weather provider configuration error');
+  }
+
+  if (location.latitude === undefined || location.latitude === null ||
+      location.longitude === undefined || location.longitude === null) {
+    const coordinatesError = new Error('Location has no coordinates');
+    coordinatesError.code = 'LOCATION_NOT_FOUND';
+    coordinatesError.locationId = location.location_id;
+    throw coordinatesError;
+  }
+
+  logger.debug('Requesting weather provider', {
+    endpoint,
+    locationId: location.location_id,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    baseUrl: CONFIG.WEATHER_API_BASE_URL
+  });
+
+  try {
+    const { data } = await axios.get(`${CONFIG.WEATHER_API_BASE_URL}/${endpoint}`, {
+      params: {
+        key: process.env.WEATHER_API_KEY,
+        q: `${location.latitude},${location.longitude}`,
+        ...params
+      },
+      timeout: CONFIG.WEATHER_API_TIMEOUT_MS
+    });
+
+    if (!data?.current) {
+      throw new Error('Response did not include current conditions');
+    }
+
+    return data;
+  } catch (error) {
+    throw createProviderError(error, location);
+  }
+};
+
+/**
+ * Fetches the raw current conditions payload for a location by its coordinates
+ *
+ * @param {Object} location - Location row with location_id, latitude and longitude
+ * @returns {Object} Provider response body ({ location, current })
+ * @throws {Error} With a provider error code if the request fails
+ */
+const fetchCurrentConditions = (location) => requestProvider('current.json', location);
+
+/**
+ * Fetches the raw forecast payload (which also includes current conditions and alerts)
+ *
+ * @param {Object} location - Location row with location_id, latitude and longitude
+ * @returns {Object} Provider response body ({ location, current, forecast, alerts })
+ * @throws {Error} With a provider error code if the request fails
+ */
+const fetchForecastConditions = (location) => requestProvider('forecast.json', location, {
+  days: CONFIG.FORECAST_DAYS,
+  alerts: 'yes'
+});
+
+/**
+ * Fetches current weather for a location as a weather_cache row
+ *
+ * @param {Object} location - Location row with location_id, latitude and longitude
+ * @returns {Object} weather_cache row (without location_id)
+ * @throws {Error} With a provider error code if the request fails
+ */
+const fetchCurrentWeather = async (location) => {
+  const { current } = await fetchCurrentConditions(location);
+  return mapToWeatherCache(current);
+};
+
+/**
+ * Fetches current weather for several locations, isolating failures per location
+ *
+ * @param {Array} locations - Location rows with location_id, name, latitude and longitude
+ * @param {Object} [options]
+ * @param {boolean} [options.includeForecast] - Use the forecast endpoint and attach
+ *                  { hourly, daily } forecast rows as `forecast` and the provider's
+ *                  alert list as `alerts` on each result
+ * @returns {Array} weather_cache rows including location_id, or error entries in the
+ *                  shape processWeatherData expects ({ locationId, locationName, error, timestamp })
+ */
+const fetchWeatherForLocations = async (locations, { includeForecast = false } = {}) => {
+  return Promise.all(locations.map(async (location) => {
+    try {
+      if (includeForecast) {
+        const { current, forecast, alerts } = await fetchForecastConditions(location);
+        return {
+          location_id: location.location_id,
+          ...mapToWeatherCache(current),
+          forecast: mapToForecastCache(forecast),
+          alerts: alerts?.alert || []
+        };
+      }
+
+      const weatherRow = await fetchCurrentWeather(location);
+      return { location_id: location.location_id, ...weatherRow };
+    } catch (error) {
+      logger.warn('Weather provider request failed for location', {
+        locationId: location.location_id,
+        code: error.code,
+        status: error.status,
+        error: error.message
+      });
+
+      return {
+        locationId: location.location_id,
+        locationName: location.name,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }));
+};
+
+module.exports = {
+  mapToWeatherCache,
+  mapToForecastCache,
+  fetchCurrentConditions,
+  fetchForecastConditions,
+  fetchCurrentWeather,
+  fetchWeatherForLocations
+};
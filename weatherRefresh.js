@@ -0,0 +1,202 @@
+/**
+ * Weather Refresh Module
+ *
+ * Refreshes cached weather and forecasts from the weather provider. The scheduled
+ * refresh covers every location with a live subscriber and pushes the updated
+ * data to the connections watching those locations.
+ */
+
+const { logger } = require('./requestContext');
+const {
+  getSubscribedConnections,
+  getConnectionLocationIds
+} = require('./websocket');
+const { sendWeatherChanges } = require('./weatherDelta');
+const { resolveUnits } = require('./preferences');
+const {
+  getLocationWeather,
+  updateWeatherCache,
+  getForecastForLocation,
+  updateForecastCache
+} = require('./database');
+const { processWeatherData } = require('./dataProcessor');
+const { fetchWeatherForLocations } = require('./weatherProvider');
+const { ingestAlerts } = require('./alerts');
+
+/**
+ * Fetches fresh weather and forecasts for a set of locations and stores them in
+ * weather_cache, forecast_hourly and forecast_daily. New alerts in the provider
+ * payload are ingested and pushed along the way.
+ *
+ * @param {Array} locationIds - Locations to refresh
+ * @returns {Object} Map of location ID (as string) to the refreshed cache row, plus failure
+ *                   and pushed alert counts
+ */
+const refreshLocations = async (locationIds) => {
+  // A failed lookup only counts against its own location
+  const lookups = await Promise.allSettled(locationIds.map(id => getLocationWeather(id)));
+  const locations = [];
+  let failed = 0;
+
+  lookups.forEach((lookup, index) => {
+    if (lookup.status === 'fulfilled' && lookup.value) {
+      locations.push(lookup.value);
+      return;
+    }
+
+    failed++;
+    if (lookup.status === 'rejected') {
+      logger.error('Failed to load location for refresh', {
+        locationId: locationIds[index],
+        error: lookup.reason?.message
+      });
+    }
+  });
+
+  const results = await fetchWeatherForLocations(locations, { includeForecast: true });
+  const rowsByLocation = new Map();
+  let alertsPushed = 0;
+
+  for (const result of results) {
+    if (result.error) {
+      failed++;
+      continue;
+    }
+
+    try {
+      const { forecast, alerts, ...weatherRow } = result;
+      await updateWeatherCache(weatherRow);
+      await updateForecastCache(result.location_id, forecast);
+
+      const refreshed = await getLocationWeather(result.location_id);
+      rowsByLocation.set(String(result.location_id), refreshed);
+
+      if (alerts.length > 0) {
+        const alertSummary = await ingestAlerts(result.location_id, alerts, {
+          source: 'provider',
+          locationName: refreshed.name
+        });
+        alertsPushed += alertSummary.pushed;
+      }
+    } catch (error) {
+      // A failing location must not stop the others from refreshing
+      failed++;
+      logger.error('Failed to store refreshed location weather', {
+        locationId: result.location_id,
+        error: error.message
+      });
+    }
+  }
+
+  return { rowsByLocation, failed, alertsPushed };
+};
+
+/**
+ * Loads cached forecasts for locations, fetching from the provider for any
+ * location that has no forecast stored yet
+ *
+ * @param {Array} locations - Location rows with location_id, name and timezone
+ * @returns {Array} Locations with a `forecast` ({ hourly, daily }) attached, ready for processWeatherData
+ */
+const loadForecasts = async (locations) => {
+  const withForecasts = await Promise.all(locations.map(async (location) => ({
+    location_id: location.location_id,
+    name: location.name,
+    timezone: location.timezone,
+    forecast: await getForecastForLocation(location.location_id, location.timezone)
+  })));
+
+  const missing = withForecasts
+    .filter(({ forecast }) => forecast.hourly.length === 0 && forecast.daily.length === 0)
+    .map(({ location_id }) => location_id);
+
+  if (missing.length === 0) {
+    return withForecasts;
+  }
+
+  logger.info('Fetching forecasts that are not cached yet', { locationIds: missing });
+  const { failed } = await refreshLocations(missing);
+  if (failed > 0) {
+    logger.warn('Some forecasts could not be fetched', { failed });
+  }
+
+  return Promise.all(withForecasts.map(async (location) => (
+    missing.includes(location.location_id)
+      ? { ...location, forecast: await getForecastForLocation(location.location_id, location.timezone) }
+      : location
+  )));
+};
+
+/**
+ * Refreshes every subscribed location and sends each subscribed connection
+ * a weatherDelta with whatever changed for the locations it watches
+ *
+ * @returns {Object} Summary of the refresh run
+ */
+const refreshSubscribedLocations = async () => {
+  const connections = await getSubscribedConnections();
+
+  // Location IDs are compared as strings since they may be stored as numbers or strings
+  const locationIds = new Set();
+  for (const connection of connections) {
+    getConnectionLocationIds(connection).forEach(id => locationIds.add(String(id)));
+  }
+
+  const summary = {
+    connections: connections.length,
+    locations: locationIds.size,
+    refreshed: 0,
+    failed: 0,
+    alertsPushed: 0,
+    messagesSent: 0
+  };
+
+  if (locationIds.size === 0) {
+    logger.info('No subscribed locations to refresh');
+    return summary;
+  }
+
+  const { rowsByLocation, failed, alertsPushed } = await refreshLocations([...locationIds]);
+  summary.refreshed = rowsByLocation.size;
+  summary.failed = failed;
+  summary.alertsPushed = alertsPushed;
+
+  // Saved preferences are looked up once per user rather than once per connection
+  const unitsByUser = new Map();
+
+  for (const connection of connections) {
+    const rows = getConnectionLocationIds(connection)
+      .map(id => rowsByLocation.get(String(id)))
+      .filter(Boolean);
+
+    if (rows.length === 0) {
+      continue;
+    }
+
+    try {
+      // Each connection receives the data in its own unit system
+      if (!unitsByUser.has(connection.userId)) {
+        unitsByUser.set(connection.userId, await resolveUnits(connection.userId));
+      }
+      const units = connection.units || unitsByUser.get(connection.userId);
+      const data = await processWeatherData(rows, { units });
+      const sent = await sendWeatherChanges(connection, data);
+      if (sent) {
+        summary.messagesSent++;
+      }
+    } catch (error) {
+      logger.error('Failed to push weather update', {
+        connectionId: connection.connectionId,
+        error: error.message
+      });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  refreshLocations,
+  loadForecasts,
+  refreshSubscribedLocations
+};
@@ -1,34 +1,24 @@
 /**
  * WebSocket Connection Management Module
  * 
- * Handles WebSocket connection lifecycle, authentication, and message delivery using
- * DynamoDB for connection persistence and API Gateway for message broadcasting.
+ * Handles WebSocket connection lifecycle and message delivery using the
+ * configured connection store (connectionStore.js) for persistence and API
+ * Gateway for message broadcasting. Token verification lives in auth.js.
  * 
  * Key features:
- * - Connection storage and management in DynamoDB
- * - JWT-based authentication
+ * - Connection storage and management (DynamoDB or in-memory)
  * - Real-time message delivery via API Gateway
  * - Connection TTL management
  * - Error handling and logging
  */
 
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand, DeleteCommand, UpdateCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
-const { ApiGatewayManagementApiClient, PostToConnectionCommand } = require('@aws-sdk/client-apigatewaymanagementapi');
-const jwt = require('jsonwebtoken');
-const { logger } = require('@bradbunce/launchdarkly-lambda-logger');
+const { ApiGatewayManagementApiClient, PostToConnectionCommand, GetConnectionCommand } = require('@aws-sdk/client-apigatewaymanagementapi');
+const { logger, getRequestContext } = require('./requestContext');
 const CONFIG = require('./config');
-
-// Initialize DynamoDB client
-const client = new DynamoDBClient({
-    maxAttempts: 3,
-    requestTimeout: 5000
-});
-const dynamo = DynamoDBDocumentClient.from(client, {
-    marshallOptions: {
-        removeUndefinedValues: true,
-    }
-});
+const connectionStore = require('./connectionStore');
+const { splitMessage } = require('./messageParts');
+const { fanOut } = require('./fanOut');
+const { DEFAULT_ENCODING, DEFAULT_PROTOCOL, encodeMessage } = require('./messageEncoding');
 
 const ENDPOINT = process.env.WEBSOCKET_API_ENDPOINT;
 
@@ -47,27 +37,78 @@ const apiGateway = new ApiGatewayManagementApiClient({
 // Helper function to calculate TTL
 const calculateTTL = () => Math.floor(Date.now() / 1000) + (CONFIG.CONNECTION_TTL_HOURS * 60 * 60);
 
-const storeConnection = async (connectionId, userId) => {
-    logger.info('Storing connection', { connectionId, userId });
+// Thrown when an update targets a connection the store no longer has
+const connectionNotFound = () => {
+    const error = new Error('Connection not found');
+    error.code = 'CONNECTION_NOT_FOUND';
+    return error;
+};
+
+// Wire format ({ encoding, protocol }) of connections seen by this container, keyed by connectionId.
+// A connection's format never changes, so entries only need to be dropped to bound memory.
+const connectionFormats = new Map();
+const MAX_CACHED_FORMATS = 10000;
+
+// Only full connection records may be remembered; the userId index may not project the format
+const rememberFormat = (connection) => {
+    if (connectionFormats.size >= MAX_CACHED_FORMATS) {
+        connectionFormats.clear();
+    }
+    connectionFormats.set(connection.connectionId, {
+        encoding: connection.encoding || DEFAULT_ENCODING,
+        protocol: connection.protocol || DEFAULT_PROTOCOL
+    });
+};
+
+// Looks up the format a connection chose at $connect, reading the connection only on a cache miss
+const getConnectionFormat = async (connectionId) => {
+    if (!connectionFormats.has(connectionId)) {
+        const connection = await connectionStore.getConnection(connectionId);
+        rememberFormat(connection || { connectionId });
+    }
+    return connectionFormats.get(connectionId);
+};
+
+/**
+ * Stores a new connection
+ * 
+ * @param {string} connectionId - API Gateway connection ID
+ * @param {string} userId - Authenticated user
+ * @param {number} [authExpiresAt] - Expiry (epoch seconds) of the token used to connect
+ * @param {Object} [options]
+ * @param {string} [options.encoding] - Message encoding negotiated at $connect (default json)
+ * @param {string} [options.protocol] - Message protocol negotiated at $connect (default json)
+ */
+const storeConnection = async (connectionId, userId, authExpiresAt, { encoding, protocol } = {}) => {
+    logger.info('Storing connection', { connectionId, userId, encoding, protocol });
     
     const now = Date.now();
     const ttl = calculateTTL();
     
     try {
-        // Store the new connection
-        await dynamo.send(new PutCommand({
-            TableName: CONFIG.CONNECTIONS_TABLE,
-            Item: {
-                connectionId: connectionId,
-                userId: String(userId),
-                timestamp: now,
-                ttl: ttl,
-                locationIds: [], // Initialize with empty list
-                status: 'CONNECTED'
-            },
-            // Prevent overwriting an existing connection with the same connectionId
-            ConditionExpression: 'attribute_not_exists(connectionId)'
-        }));
+        // Connections are keyed by connectionId alone; the DynamoDB store finds a user's
+        // connections through CONNECTIONS_USER_INDEX
+        const stored = await connectionStore.putConnection({
+            connectionId: connectionId,
+            userId: String(userId),
+            timestamp: now,
+            ttl: ttl,
+            // Expiry (epoch seconds) of the token that authenticated the connection
+            authExpiresAt: authExpiresAt,
+            // Only stored when the client asked for something other than plain JSON
+            encoding: encoding === DEFAULT_ENCODING ? undefined : encoding,
+            protocol: protocol === DEFAULT_PROTOCOL ? undefined : protocol,
+            // locationIds is a string set added on first subscribe; DynamoDB sets can't be empty
+            status: 'CONNECTED'
+        });
+
+        // An existing connection with the same connectionId is never overwritten
+        if (!stored) {
+            logger.warn('Connection already exists', { connectionId });
+            return;
+        }
+
+        rememberFormat({ connectionId, encoding, protocol });
         
         logger.info('Connection stored successfully', { 
             connectionId, 
@@ -76,17 +117,13 @@ const storeConnection = async (connectionId, userId) => {
             timestamp: now
         });
     } catch (error) {
-        if (error.name === 'ConditionalCheckFailedException') {
-            logger.warn('Connection already exists', { connectionId });
-        } else {
-            logger.error('Failed to store connection', {
-                error: error.message,
-                connectionId,
-                userId,
-                detailedError: error
-            });
-            throw error;
-        }
+        logger.error('Failed to store connection', {
+            error: error.message,
+            connectionId,
+            userId,
+            detailedError: error
+        });
+        throw error;
     }
 };
 
@@ -94,27 +131,8 @@ const removeConnection = async (connectionId) => {
     logger.info('Removing connection', { connectionId });
     
     try {
-        const scanParams = {
-            TableName: CONFIG.CONNECTIONS_TABLE,
-            FilterExpression: 'connectionId = :connectionId',
-            ExpressionAttributeValues: {
-                ':connectionId': connectionId
-            }
-        };
-
-        // First, find the connection to get the userId
-        const { Items } = await dynamo.send(new ScanCommand(scanParams));
-
-        if (Items && Items.length > 0) {
-            const connection = Items[0];
-            await dynamo.send(new DeleteCommand({
-                TableName: CONFIG.CONNECTIONS_TABLE,
-                Key: { 
-                    connectionId: connectionId,
-                    userId: connection.userId
-                }
-            }));
-        }
+        await connectionStore.deleteConnection(connectionId);
+        connectionFormats.delete(connectionId);
         
         logger.info('Connection removed successfully', { connectionId });
     } catch (error) {
@@ -126,42 +144,144 @@ const removeConnection = async (connectionId) => {
     }
 };
 
+const getConnection = async (connectionId) => {
+    try {
+        const connection = await connectionStore.getConnection(connectionId);
+        if (connection) {
+            rememberFormat(connection);
+        }
+        return connection;
+    } catch (error) {
+        logger.error('Failed to get connection', {
+            error: error.message,
+            connectionId
+        });
+        throw error;
+    }
+};
+
+// Stores the last weather payload sent to a connection and returns the next sequence number
+const recordConnectionSnapshot = async (connectionId, snapshot) => {
+    try {
+        // The store doesn't recreate rows for connections that have already been removed
+        const sequence = await connectionStore.recordSnapshot(connectionId, snapshot);
+
+        if (sequence === null) {
+            logger.warn('Connection not found when recording snapshot', { connectionId });
+            return null;
+        }
+
+        logger.debug('Recorded connection snapshot', {
+            connectionId,
+            sequence
+        });
+
+        return sequence;
+    } catch (error) {
+        logger.error('Failed to record connection snapshot', {
+            error: error.message,
+            connectionId
+        });
+        throw error;
+    }
+};
+
+// Reads every live connection, following pagination so results beyond one page
+// are not dropped. Only used for whole-table listings; single connections and a user's
+// connections are read by key and through the userId index.
+const listLiveConnections = async () => {
+    const connections = [];
+    let nextKey;
+
+    do {
+        const page = await connectionStore.listActiveConnectionsPage(nextKey);
+        page.connections.forEach(rememberFormat);
+        connections.push(...page.connections);
+        nextKey = page.nextKey;
+    } while (nextKey);
+
+    return connections;
+};
+
 const getActiveConnections = async () => {
     logger.info('Getting active connections');
     
-    const now = Math.floor(Date.now() / 1000);
-    
     try {
-        const { Items } = await dynamo.send(new ScanCommand({
-            TableName: CONFIG.CONNECTIONS_TABLE,
-            FilterExpression: 'serviceType = :type AND ttl > :now',
-            ExpressionAttributeValues: {
-                ':type': 'weather-updates',
-                ':now': now
-            }
-        }));
+        const Items = await listLiveConnections();
         
-        logger.info('Retrieved active connections', { count: Items?.length || 0 });
-        return Items || [];
+        logger.info('Retrieved active connections', { count: Items.length });
+        return Items;
     } catch (error) {
         logger.error('Failed to get active connections', { error: error.message });
         throw error;
     }
 };
 
+// Returns one page of live connections; pass the returned nextKey to get the next page
+const getLiveConnectionsPage = async (exclusiveStartKey) => {
+    try {
+        const page = await connectionStore.listActiveConnectionsPage(exclusiveStartKey);
+        page.connections.forEach(rememberFormat);
+        return page;
+    } catch (error) {
+        logger.error('Failed to get live connections page', { error: error.message });
+        throw error;
+    }
+};
+
+// Normalize the stored locationIds attribute (a string set, or a list/scalar on older rows)
+const getConnectionLocationIds = (connection) => {
+    const { locationIds } = connection || {};
+    if (locationIds === undefined || locationIds === null) {
+        return [];
+    }
+    if (locationIds instanceof Set || Array.isArray(locationIds)) {
+        return [...locationIds].map(String);
+    }
+    return [String(locationIds)];
+};
+
+const getSubscribedConnections = async () => {
+    logger.info('Getting connections with location subscriptions');
+
+    try {
+        const connections = await listLiveConnections();
+
+        const subscribed = connections.filter(connection => getConnectionLocationIds(connection).length > 0);
+
+        logger.info('Retrieved subscribed connections', { count: subscribed.length });
+        return subscribed;
+    } catch (error) {
+        logger.error('Failed to get subscribed connections', { error: error.message });
+        throw error;
+    }
+};
+
 const sendMessageToClient = async (connectionId, payload) => {
     try {
         logger.info('Starting message send to client', { 
             connectionId, 
             payloadType: payload.type 
         });
+
+        // Replies to the connection that sent the current request echo its requestId
+        const context = getRequestContext();
+        const message = context?.connectionId === connectionId && payload.requestId === undefined
+            ? { ...payload, requestId: context.requestId }
+            : payload;
         
-        await apiGateway.send(
-            new PostToConnectionCommand({
-                ConnectionId: connectionId,
-                Data: JSON.stringify(payload)
-            })
-        );
+        const format = await getConnectionFormat(connectionId);
+        
+        // Oversized weatherUpdates go out as numbered parts, in order. Parts are sized on
+        // their JSON, which compression and MessagePack shrink well below the frame limit.
+        for (const frame of splitMessage(message)) {
+            await apiGateway.send(
+                new PostToConnectionCommand({
+                    ConnectionId: connectionId,
+                    Data: encodeMessage(frame, format)
+                })
+            );
+        }
         
         logger.info('Message sent successfully');
         return true;
@@ -182,173 +302,240 @@ const sendMessageToClient = async (connectionId, payload) => {
     }
 };
 
-const updateConnectionTTL = async (connectionId, userId) => {
-    logger.info('Updating connection TTL', { connectionId, userId });
+/**
+ * Asks the management API whether a connection is still open (GetConnection)
+ * 
+ * @param {string} connectionId - Connection to probe
+ * @returns {boolean} False when API Gateway reports the connection gone (410)
+ */
+const isConnectionAlive = async (connectionId) => {
+    try {
+        await apiGateway.send(new GetConnectionCommand({ ConnectionId: connectionId }));
+        return true;
+    } catch (error) {
+        if (error.$metadata?.httpStatusCode === 410) {
+            return false;
+        }
+
+        logger.error('Error probing connection', {
+            error: error.message,
+            code: error.$metadata?.httpStatusCode,
+            connectionId
+        });
+        throw error;
+    }
+};
+
+const updateConnectionTTL = async (connectionId) => {
+    logger.info('Updating connection TTL', { connectionId });
     
     const ttl = calculateTTL();
     
     try {
-        await dynamo.send(new UpdateCommand({
-            TableName: CONFIG.CONNECTIONS_TABLE,
-            Key: { 
-                connectionId: connectionId,
-                userId: String(userId)
-            },
-            UpdateExpression: 'SET #ttlAttribute = :ttl, #statusAttribute = :status',
-            ExpressionAttributeNames: {
-                '#ttlAttribute': 'ttl',
-                '#statusAttribute': 'status'
-            },
-            ExpressionAttributeValues: {
-                ':ttl': ttl,
-                ':status': 'CONNECTED'
-            }
-        }));
+        const updated = await connectionStore.updateConnection(connectionId, {
+            set: { ttl, status: 'CONNECTED' }
+        });
+
+        if (!updated) {
+            logger.warn('Connection not found when updating TTL', { connectionId });
+            return;
+        }
         
         logger.info('TTL updated successfully', { 
             connectionId,
-            userId,
             newTtl: ttl
         });
     } catch (error) {
         logger.error('Failed to update TTL', {
             error: error.message,
             connectionId,
-            userId,
             detailedError: error
         });
         throw error;
     }
 };
 
-const verifyToken = (token) => {
-    // Validate environment setup
-    if (!process.env.JWT_SECRET) {
-        logger.error('JWT Configuration Error: JWT_SECRET environment variable is not set');
-        throw new Error('JWT configuration error');
-    }
+// Changing locations counts as activity, so the same write refreshes the TTL
+const touchChanges = () => ({
+    set: { ttl: calculateTTL(), status: 'CONNECTED' }
+});
 
-    // Validate token input
-    if (!token) {
-        logger.error('Token Verification Failed: No token provided');
-        throw new Error('No token provided');
+// Returns the location list of a connection after a store update (null when it no longer exists)
+const updatedLocationIds = (updated) => {
+    if (!updated) {
+        throw connectionNotFound();
     }
 
+    return getConnectionLocationIds(updated);
+};
+
+const addConnectionLocations = async (connectionId, locationIds) => {
+    logger.info('Adding connection locations', { 
+        connectionId,
+        locationIds
+    });
+    
     try {
-        // Log basic token details for debugging
-        logger.info('Token Verification Attempt', {
-            tokenLength: token.length,
-            tokenStart: token.substring(0, 20)
+        const subscribed = updatedLocationIds(
+            await connectionStore.addLocations(connectionId, locationIds, touchChanges())
+        );
+        
+        logger.info('Locations added successfully', { 
+            connectionId,
+            locationIds: subscribed
         });
+        return subscribed;
+    } catch (error) {
+        logger.error('Failed to add locations', {
+            error: error.message,
+            connectionId,
+            locationIds,
+            detailedError: error
+        });
+        throw error;
+    }
+};
 
-        // Verify and decode the token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Ensure critical fields exist
-        if (!decoded.userId || !decoded.username) {
-            logger.error('Invalid Token: Missing required fields', {
-                missingUserId: !decoded.userId,
-                missingUsername: !decoded.username
-            });
-            throw new Error('Invalid token payload');
-        }
+const removeConnectionLocations = async (connectionId, locationIds) => {
+    logger.info('Removing connection locations', { 
+        connectionId,
+        locationIds
+    });
+    
+    try {
+        const subscribed = updatedLocationIds(
+            await connectionStore.removeLocations(connectionId, locationIds, touchChanges())
+        );
+        
+        logger.info('Locations removed successfully', { 
+            connectionId,
+            locationIds: subscribed
+        });
+        return subscribed;
+    } catch (error) {
+        logger.error('Failed to remove locations', {
+            error: error.message,
+            connectionId,
+            locationIds,
+            detailedError: error
+        });
+        throw error;
+    }
+};
 
-        // Convert userId to string and prepare return object
-        const verifiedPayload = {
-            userId: String(decoded.userId),
-            username: decoded.username,
-            // Preserve other original claims
-            iat: decoded.iat,
-            exp: decoded.exp
-        };
-
-        // Log successful verification details
-        logger.info('Token Verified Successfully', {
-            userId: verifiedPayload.userId,
-            username: verifiedPayload.username,
-            expiresAt: new Date(decoded.exp * 1000).toISOString()
+const clearConnectionLocations = async (connectionId) => {
+    logger.info('Clearing connection locations', { connectionId });
+    
+    try {
+        updatedLocationIds(
+            await connectionStore.updateConnection(connectionId, { ...touchChanges(), remove: ['locationIds'] })
+        );
+        
+        logger.info('Locations cleared successfully', { connectionId });
+        return [];
+    } catch (error) {
+        logger.error('Failed to clear locations', {
+            error: error.message,
+            connectionId,
+            detailedError: error
         });
+        throw error;
+    }
+};
 
-        return verifiedPayload;
+// Records the expiry of a fresh token for the connection and re-arms the expiry warning
+const updateConnectionAuth = async (connectionId, authExpiresAt) => {
+    logger.info('Updating connection auth expiry', { connectionId, authExpiresAt });
+    
+    try {
+        const updated = await connectionStore.updateConnection(connectionId, {
+            set: { authExpiresAt, ttl: calculateTTL(), status: 'CONNECTED' },
+            remove: ['expiryWarningSentAt']
+        });
 
+        if (!updated) {
+            throw connectionNotFound();
+        }
+        
+        logger.info('Connection auth expiry updated', { connectionId, authExpiresAt });
     } catch (error) {
-        // Detailed error logging
-        logger.error('Token Verification Failed', {
-            name: error.name,
-            message: error.message
+        logger.error('Failed to update connection auth expiry', {
+            error: error.message,
+            connectionId,
+            detailedError: error
         });
+        throw error;
+    }
+};
 
-        // Specific error handling
-        switch (error.name) {
-            case 'TokenExpiredError':
-                logger.warn('Token Expired', {
-                    message: 'The token has expired'
-                });
-                throw new Error('Token has expired');
-
-            case 'JsonWebTokenError':
-                logger.warn('Invalid Token', {
-                    message: 'The token signature is invalid'
-                });
-                throw new Error('Invalid token signature');
-
-            case 'NotBeforeError':
-                logger.warn('Token Not Active', {
-                    message: 'The token is not yet active'
-                });
-                throw new Error('Token is not yet active');
-
-            default:
-                logger.error('Unhandled Token Verification Error', {
-                    errorDetails: error
-                });
-                throw new Error('Token verification failed');
-        }
+// Finds live connections whose token expires within the given window and have not been warned yet
+const getExpiringConnections = async (withinSeconds) => {
+    const now = Math.floor(Date.now() / 1000);
+
+    try {
+        const connections = (await listLiveConnections()).filter(connection => (
+            connection.authExpiresAt >= now &&
+            connection.authExpiresAt <= now + withinSeconds &&
+            connection.expiryWarningSentAt === undefined
+        ));
+
+        logger.info('Retrieved connections with expiring tokens', { count: connections.length });
+        return connections;
+    } catch (error) {
+        logger.error('Failed to get connections with expiring tokens', { error: error.message });
+        throw error;
     }
 };
 
-const updateConnectionLocations = async (connectionId, locationIds) => {
-    logger.info('Updating connection locations', { 
-        connectionId,
-        locationIds
+const markExpiryWarningSent = async (connectionId) => {
+    await connectionStore.updateConnection(connectionId, {
+        set: { expiryWarningSentAt: Date.now() }
     });
-    
-    const ttl = calculateTTL();
+};
+
+// Overrides the unit system used for weather sent to one connection
+const setConnectionUnits = async (connectionId, units) => {
+    logger.info('Setting connection units', { connectionId, units });
     
     try {
-        await dynamo.send(new UpdateCommand({
-            TableName: CONFIG.CONNECTIONS_TABLE,
-            Key: { 
-                connectionId: connectionId
-            },
-            UpdateExpression: 'SET locationIds = :locationIds, #ttlAttribute = :ttl, #statusAttribute = :status',
-            ExpressionAttributeNames: {
-                '#ttlAttribute': 'ttl',
-                '#statusAttribute': 'status'
-            },
-            ExpressionAttributeValues: {
-                ':locationIds': locationIds,
-                ':ttl': ttl,
-                ':status': 'CONNECTED'
-            }
-        }));
-        
-        logger.info('Locations updated successfully', { 
-            connectionId,
-            locationIds,
-            newTtl: ttl
+        const updated = await connectionStore.updateConnection(connectionId, {
+            set: { units, ttl: calculateTTL() }
         });
+
+        if (!updated) {
+            throw connectionNotFound();
+        }
+        
+        logger.info('Connection units updated', { connectionId, units });
     } catch (error) {
-        logger.error('Failed to update locations', {
+        logger.error('Failed to set connection units', {
             error: error.message,
             connectionId,
-            locationIds,
+            units,
             detailedError: error
         });
         throw error;
     }
 };
 
+/**
+ * Returns every connection of a user (via the userId index in DynamoDB)
+ * 
+ * @param {string} userId - User whose connections to list
+ * @returns {Array} Connection records (as projected into the index)
+ */
+const getUserConnections = async (userId) => {
+    try {
+        return await connectionStore.listUserConnections(userId);
+    } catch (error) {
+        logger.error('Failed to get user connections', {
+            error: error.message,
+            userId
+        });
+        throw error;
+    }
+};
+
 const cleanupUserConnections = async (userId) => {
     // Explicitly convert userId to string
     const stringUserId = String(userId);
@@ -356,16 +543,10 @@ const cleanupUserConnections = async (userId) => {
     logger.info('Cleaning up connections for user', { userId: stringUserId });
     
     try {
-        // Query for all connections belonging to this user
-        const { Items } = await dynamo.send(new ScanCommand({
-            TableName: CONFIG.CONNECTIONS_TABLE,
-            FilterExpression: 'userId = :userId',
-            ExpressionAttributeValues: {
-                ':userId': stringUserId
-            }
-        }));
-
-        if (!Items?.length) {
+        // Look up all connections belonging to this user
+        const Items = await getUserConnections(stringUserId);
+
+        if (!Items.length) {
             logger.info('No connections found for user', { userId: stringUserId });
             return;
         }
@@ -378,10 +559,7 @@ const cleanupUserConnections = async (userId) => {
 
         // Remove each connection
         const deletePromises = Items.map(item => 
-            dynamo.send(new DeleteCommand({
-                TableName: CONFIG.CONNECTIONS_TABLE,
-                Key: { connectionId: item.connectionId }
-            }))
+            connectionStore.deleteConnection(item.connectionId)
         );
 
         await Promise.all(deletePromises);
@@ -399,27 +577,38 @@ const cleanupUserConnections = async (userId) => {
     }
 };
 
+/**
+ * Sends a message to many connections, at most FANOUT_CONCURRENCY at a time.
+ * A failing connection doesn't stop the others.
+ * 
+ * @param {Array} connectionIds - Connections to send to
+ * @param {Object} payload - Message to send
+ * @returns {Object} { connections, sent, gone, failed, results: [{ connectionId, status, error }] }
+ */
+const sendToConnections = (connectionIds, payload) => fanOut(
+    connectionIds,
+    connectionId => sendMessageToClient(connectionId, payload)
+);
+
 const broadcastToUserConnections = async (userId, payload) => {
     try {
-        const { Items } = await dynamo.send(new ScanCommand({
-            TableName: CONFIG.CONNECTIONS_TABLE,
-            FilterExpression: 'userId = :userId',
-            ExpressionAttributeValues: {
-                ':userId': String(userId)
-            }
-        }));
-
-        if (!Items?.length) {
+        const Items = await getUserConnections(userId);
+
+        if (!Items.length) {
             logger.info('No active connections for user', { userId });
-            return;
+            return { connections: 0, sent: 0, gone: 0, failed: 0, results: [] };
         }
 
-        const sendPromises = Items.map(connection => 
-            sendMessageToClient(connection.connectionId, payload)
-        );
+        const summary = await sendToConnections(Items.map(connection => connection.connectionId), payload);
 
-        await Promise.all(sendPromises);
-        
+        if (summary.failed > 0) {
+            logger.warn('Some user connections could not be reached', {
+                userId,
+                failed: summary.results.filter(result => result.status === 'failed')
+            });
+        }
+
+        return summary;
     } catch (error) {
         logger.error('Error broadcasting to user connections', {
             error: error.message,
@@ -432,11 +621,24 @@ const broadcastToUserConnections = async (userId, payload) => {
 module.exports = {
     storeConnection,
     removeConnection,
+    getConnection,
+    recordConnectionSnapshot,
     getActiveConnections,
+    getLiveConnectionsPage,
+    getSubscribedConnections,
+    getConnectionLocationIds,
     sendMessageToClient,
-    verifyToken,
-    updateConnectionLocations,
+    sendToConnections,
+    isConnectionAlive,
+    addConnectionLocations,
+    removeConnectionLocations,
+    clearConnectionLocations,
+    setConnectionUnits,
+    updateConnectionAuth,
+    getExpiringConnections,
+    markExpiryWarningSent,
     updateConnectionTTL,
+    getUserConnections,
     cleanupUserConnections,
     broadcastToUserConnections
 };